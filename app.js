@@ -6,18 +6,47 @@
  *  POST /collars    -> create collar (optional new_session:true), or update (requires collar_id+session_id)
  *  GET  /collars
  *  GET  /collars/:id
+ *  GET  /collars/:collar_id/events
+ *  GET  /collars/:collar_id/alerts
  *  PUT  /chunks     -> ingest chunk (client sends collar_id + chunk_json only)
+ *  PUT  /chunks/binary -> same, from an octet-stream or CBOR body
  *  GET  /sessions/:collar_id
  *  GET  /sessions/:collar_id/:session_id
+ *  POST /sessions/:collar_id/:session_id/recount
+ *  POST /sessions/:collar_id/:session_id/ground-truth
+ *  GET  /sessions/:collar_id/:session_id/ground-truth
+ *  DELETE /sessions/:collar_id/:session_id/ground-truth/:label_id
+ *  GET  /sessions/:collar_id/:session_id/accuracy
+ *  GET  /sessions/:collar_id/:session_id/activity
+ *  GET  /sessions/:collar_id/:session_id/sleep
+ *  GET  /sessions/:collar_id/:session_id/export -> stream samples/temperatures/chunk metrics (csv, ndjson, arrow)
+ *  POST /imports/archives -> store a .tar / .tar.gz / .zip of recorded chunk files
+ *  POST /imports    -> import recorded chunk files into a new session (background job)
+ *  GET  /imports/:import_id
+ *  POST /imports/:import_id/resume
+ *  GET  /step-counter-algorithms
+ *  GET  /imu-formats
  *  POST /step-counter-params
  *  GET  /step-counter-params/:collar_id
+ *  POST /step-counter-params/search
+ *  GET  /step-counter-params/search/:job_id
+ *  POST /alert-thresholds
+ *  GET  /alert-thresholds/:collar_id
  *  POST /config
  *  GET  /config/:collar_id
  *  GET  /health
  *  POST /admin/cleanup-sessions
+ *  POST /collars/:collar_id/device-keys, GET /collars/:collar_id/device-keys
+ *  DELETE /collars/:collar_id/device-keys/:key_id
+ *  POST /collars/:collar_id/signing-keys, GET /collars/:collar_id/signing-keys
+ *  DELETE /collars/:collar_id/signing-keys/:key_id
+ *  GET  /collars/:collar_id/signature-failures
+ *  POST /admin/tokens, GET /admin/tokens, DELETE /admin/tokens/:token_id
  *
  * Notes:
- *  - chunk_json must include imu_data (base64)
+ *  - Every route except /health needs `Authorization: Bearer <device key | API token>` (see Authentication)
+ *  - Collars with a signing key must HMAC-sign chunk uploads (see Chunk signatures)
+ *  - chunk_json must include imu_data (base64); format_version selects the record layout (default 1)
  *  - POST /collars with { new_session: true } will create+activate a new session and return it
  *  - Memory cleanup runs every 30 minutes (clears inactive session caches, DB records preserved)
  */
@@ -26,7 +55,17 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const { Pool } = require('pg');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
 const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  RecordBatch, RecordBatchStreamWriter, Schema, Field, Struct,
+  Int64, Float32, Float64, Utf8, TimestampMillisecond, makeData, vectorFromArray
+} = require('apache-arrow');
 
 const PORT = process.env.PORT || 3000;
 
@@ -42,27 +81,446 @@ const pool = new Pool({
 
 const app = express();
 
-// Enable CORS for all origins
+/* -----------------------------
+   CORS (browser origins listed in CORS_ORIGINS, comma-separated; none by default)
+   ----------------------------- */
+const CORS_ORIGINS = new Set((process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean));
+
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  
+  const origin = req.headers.origin;
+  res.vary('Origin');
+  if (origin && CORS_ORIGINS.has(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  }
+
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
-  
+
+  next();
+});
+
+/* -----------------------------
+   Authentication
+   Credentials are sent as `Authorization: Bearer <secret>`:
+   - device keys (ck_...): one or more per collar, only for that collar's chunk uploads
+     (and reading its config);
+   - API tokens (ut_...): role user (apps; only the collars granted to the token) or admin
+     (every collar, admin routes, imports, credentials);
+   - ADMIN_TOKEN from the environment: admin, to create the first tokens.
+   Routes declare who may call them with requireAuth(). With AUTH_ENFORCE=false, denials
+   are only logged (rollout while collars are being given keys).
+   Device keys and API tokens are stored as SHA-256 hashes. Chunk signing secrets (see Chunk
+   signatures) must stay usable for HMAC verification, so they are stored AES-256-GCM
+   encrypted with SIGNING_KEY_ENCRYPTION_KEY from the environment instead: a copy of the
+   database alone does not reveal them, the database together with that key does, and
+   losing the key means re-issuing every signing key.
+   ----------------------------- */
+const DEVICE_KEY_PREFIX = 'ck_';
+const API_TOKEN_PREFIX = 'ut_';
+const API_TOKEN_ROLES = ['user', 'admin'];
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const AUTH_ENFORCE = process.env.AUTH_ENFORCE !== 'false';
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// New random secret with its prefix; only its hash is stored
+function generateSecret(prefix) {
+  return prefix + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Credential behind a bearer secret: { role: 'device', collar_id, key_id },
+ * { role: 'user' | 'admin', token_id, name, collar_ids }, or null when unknown or revoked.
+ * collar_ids are the collars granted to the token (api_token_collars).
+ */
+async function resolveCredential(secret) {
+  if (ADMIN_TOKEN && crypto.timingSafeEqual(
+    Buffer.from(hashSecret(secret), 'hex'), Buffer.from(hashSecret(ADMIN_TOKEN), 'hex'))) {
+    return { role: 'admin', token_id: null, name: 'ADMIN_TOKEN' };
+  }
+  if (secret.startsWith(DEVICE_KEY_PREFIX)) {
+    const { rows } = await pool.query(
+      'SELECT key_id, collar_id FROM collar_device_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+      [hashSecret(secret)]
+    );
+    return rows.length ? { role: 'device', collar_id: rows[0].collar_id, key_id: rows[0].key_id } : null;
+  }
+  if (secret.startsWith(API_TOKEN_PREFIX)) {
+    const { rows } = await pool.query(
+      `SELECT t.token_id, t.name, t.role,
+              COALESCE(array_agg(c.collar_id) FILTER (WHERE c.collar_id IS NOT NULL), '{}') AS collar_ids
+         FROM api_tokens t
+         LEFT JOIN api_token_collars c ON c.token_id = t.token_id
+        WHERE t.token_hash = $1 AND t.revoked_at IS NULL
+        GROUP BY t.token_id`,
+      [hashSecret(secret)]
+    );
+    if (rows.length === 0) return null;
+    const { token_id, name, role, collar_ids } = rows[0];
+    return { role, token_id, name, collar_ids };
+  }
+  return null;
+}
+
+// Who is calling, for logs and created_by columns
+function authLabel(auth) {
+  if (!auth) return 'anonymous';
+  return auth.role === 'device' ? `device:${auth.collar_id}/${auth.key_id}` : `${auth.role}:${auth.name}`;
+}
+
+// Refuse a request (or, with AUTH_ENFORCE=false, log and let it through). True when refused.
+function denyRequest(req, res, status, message) {
+  if (!AUTH_ENFORCE) {
+    console.warn(`[Auth] would deny ${req.method} ${req.originalUrl} (${authLabel(req.auth)}): ${message}`);
+    return false;
+  }
+  if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+  res.status(status).json({ error: message });
+  return true;
+}
+
+// A device key acts for its own collar, a user token for the collars granted to it, an admin for all
+function credentialCoversCollar(auth, collar_id) {
+  if (auth.role === 'device') return auth.collar_id === collar_id;
+  if (auth.role === 'user') return (auth.collar_ids || []).includes(collar_id);
+  return true;
+}
+
+function otherCollarMessage(auth, collar_id) {
+  return auth.role === 'device'
+    ? `Device key is not valid for collar ${collar_id}`
+    : `Token is not granted collar ${collar_id}`;
+}
+
+/**
+ * Route guard. `roles` lists who may call the route: 'device', 'user', 'admin' (an admin
+ * token also passes 'user'). A device key or user token only passes for a collar it
+ * covers when the route has a :collar_id param; routes taking the collar from the body
+ * check it themselves with denyOtherCollar.
+ */
+function requireAuth(...roles) {
+  return (req, res, next) => {
+    const auth = req.auth;
+    let status = null;
+    let message = null;
+    if (!auth) {
+      status = 401;
+      message = req.authError || 'Authentication required';
+    } else if (!(roles.includes(auth.role) || (auth.role === 'admin' && roles.includes('user')))) {
+      status = 403;
+      message = `Requires ${roles.join(' or ')} credentials`;
+    } else if (req.params.collar_id && !credentialCoversCollar(auth, req.params.collar_id)) {
+      status = 403;
+      message = otherCollarMessage(auth, req.params.collar_id);
+    }
+    if (status && denyRequest(req, res, status, message)) return;
+    next();
+  };
+}
+
+// A device key or user token may only act for the collars it covers. True when the request was refused.
+function denyOtherCollar(req, res, collar_id) {
+  if (!req.auth || credentialCoversCollar(req.auth, collar_id)) return false;
+  return denyRequest(req, res, 403, otherCollarMessage(req.auth, collar_id));
+}
+
+// Like denyOtherCollar, but a user token may name a collar that does not exist yet (POST /collars)
+async function denyOtherExistingCollar(req, res, collar_id) {
+  if (!req.auth || credentialCoversCollar(req.auth, collar_id)) return false;
+  const { rows } = await pool.query('SELECT 1 FROM collars WHERE collar_id = $1', [collar_id]);
+  if (rows.length === 0 && req.auth.role === 'user') return false;
+  return denyRequest(req, res, 403, otherCollarMessage(req.auth, collar_id));
+}
+
+// Grant a collar to the calling user token (a collar it just created)
+async function grantCollarToCaller(auth, collar_id) {
+  if (!auth || auth.role !== 'user' || credentialCoversCollar(auth, collar_id)) return;
+  await pool.query(
+    `INSERT INTO api_token_collars (token_id, collar_id, granted_by) VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING`,
+    [auth.token_id, collar_id, authLabel(auth)]
+  );
+  auth.collar_ids = [...(auth.collar_ids || []), collar_id];
+}
+
+// Resolve the bearer credential (if any) into req.auth; the route's guard decides
+app.use(async (req, res, next) => {
+  req.auth = null;
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (match) {
+    try {
+      req.auth = await resolveCredential(match[1]);
+    } catch (err) {
+      console.error('Credential lookup error', err);
+      return res.status(500).json({ error: err.message });
+    }
+    if (!req.auth) req.authError = 'Invalid or revoked credential';
+  } else if (req.headers.authorization) {
+    req.authError = 'Authorization header must be "Bearer <key or token>"';
+  }
   next();
 });
 
-app.use(bodyParser.json({ limit: '20mb' }));
+if (!AUTH_ENFORCE) {
+  console.warn('[Auth] AUTH_ENFORCE=false: requests without valid credentials are only logged');
+}
+
+/* -----------------------------
+   Chunk signatures (HMAC-SHA256 over the upload, with replay protection)
+   A collar holding a signing key signs each PUT /chunks and PUT /chunks/binary request:
+     X-Signature-Key-Id, X-Signature-Timestamp (unix seconds), X-Signature-Nonce and
+     X-Signature = hex HMAC-SHA256(secret, chunkSigningString(...)).
+   The body is hashed as received after Content-Encoding is removed. The signature is
+   checked before any chunk is decoded; the timestamp must be within
+   SIGNATURE_WINDOW_S of server time and each nonce is accepted with one body per collar
+   (the same signed request sent again is a retry, answered by the idempotent ingest).
+   Once a collar has a signing key (or with CHUNK_SIGNATURES_REQUIRED=true, always),
+   unsigned uploads for it are refused. Rejections are logged per collar.
+   ----------------------------- */
+const SIGNING_KEY_PREFIX = 'sk_';
+const SIGNATURE_WINDOW_S = 300;
+const SIGNATURE_NONCE_RE = /^[A-Za-z0-9_-]{16,128}$/;
+const SIGNATURE_FAILURE_RETENTION_DAYS = 90;
+const SIGNATURE_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const CHUNK_SIGNATURES_REQUIRED = process.env.CHUNK_SIGNATURES_REQUIRED === 'true';
+const ENCRYPTED_SECRET_PREFIX = 'enc:v1:';
+
+// 32-byte key for signing secrets at rest, as 64 hex characters or base64
+function parseSigningEncryptionKey(value) {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('SIGNING_KEY_ENCRYPTION_KEY must be 32 bytes, as 64 hex characters or base64');
+  }
+  return key;
+}
+const SIGNING_KEY_ENCRYPTION_KEY = parseSigningEncryptionKey(process.env.SIGNING_KEY_ENCRYPTION_KEY);
+
+// Stored form of a signing secret; the key_id is authenticated too, so it only opens for its own row
+function encryptSigningSecret(key_id, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', SIGNING_KEY_ENCRYPTION_KEY, iv);
+  cipher.setAAD(Buffer.from(key_id));
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ENCRYPTED_SECRET_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64url')).join(':');
+}
+
+// Secret from its stored form; rows written before encryption hold it in plaintext
+function decryptSigningSecret(key_id, stored) {
+  if (!stored.startsWith(ENCRYPTED_SECRET_PREFIX)) return stored;
+  if (!SIGNING_KEY_ENCRYPTION_KEY) {
+    throw new Error('SIGNING_KEY_ENCRYPTION_KEY is not set; stored signing secrets cannot be read');
+  }
+  const [iv, tag, ciphertext] = stored.slice(ENCRYPTED_SECRET_PREFIX.length).split(':')
+    .map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', SIGNING_KEY_ENCRYPTION_KEY, iv);
+  decipher.setAAD(Buffer.from(key_id));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// At startup: encrypt signing secrets stored in plaintext before the key was configured
+async function encryptPlaintextSigningSecrets() {
+  if (!SIGNING_KEY_ENCRYPTION_KEY) {
+    console.warn('[Signature] SIGNING_KEY_ENCRYPTION_KEY is not set: signing keys cannot be issued');
+    return;
+  }
+  try {
+    const { rows } = await pool.query(
+      `SELECT key_id, secret FROM collar_signing_keys WHERE secret NOT LIKE 'enc:%'`
+    );
+    for (const row of rows) {
+      await pool.query(
+        'UPDATE collar_signing_keys SET secret = $3 WHERE key_id = $1 AND secret = $2',
+        [row.key_id, row.secret, encryptSigningSecret(row.key_id, row.secret)]
+      );
+    }
+    if (rows.length > 0) console.log(`[Signature] Encrypted ${rows.length} signing secrets stored in plaintext`);
+  } catch (err) {
+    console.error('[Signature] could not encrypt stored signing secrets', err);
+  }
+}
+
+// What the collar signs: method, path with query, timestamp, nonce and the body's SHA-256
+function chunkSigningString(method, url, timestamp, nonce, bodyHash) {
+  return `${method.toUpperCase()}\n${url}\n${timestamp}\n${nonce}\n${bodyHash}`;
+}
+
+function signatureMatches(secret, signingString, signature) {
+  const expected = crypto.createHmac('sha256', secret).update(signingString).digest();
+  const given = /^[0-9a-f]{64}$/i.test(signature) ? Buffer.from(signature, 'hex') : null;
+  return Boolean(given) && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Record a rejected signature for the collar (when known) and answer 401
+ * { error, signature_error: reason }.
+ */
+async function rejectSignature(req, res, { collar_id = null, key_id = null, reason, message }) {
+  console.warn(`[Signature] ${collar_id || 'unknown collar'} ${req.method} ${req.originalUrl} rejected ` +
+               `(${reason}${key_id ? `, key ${key_id}` : ''}): ${message}`);
+  try {
+    await pool.query(
+      `INSERT INTO chunk_signature_failures (collar_id, key_id, reason, detail, remote_addr)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [collar_id, key_id, reason, message, req.ip || null]
+    );
+  } catch (err) {
+    console.error('[Signature] could not record failure', err);
+  }
+  return res.status(401).json({ error: message, signature_error: reason });
+}
+
+// collar_id claimed by a JSON PUT /chunks body, for failure logs before the key is known
+function claimedChunkCollar(req) {
+  if (req.auth && req.auth.role === 'device') return req.auth.collar_id;
+  const data = req.body && !Buffer.isBuffer(req.body) ? req.body.data : null;
+  const first = data && typeof data === 'object' ? Object.values(data)[0] : null;
+  return first && typeof first.collar_id === 'string' ? first.collar_id : null;
+}
+
+/**
+ * Middleware for the chunk upload routes (after body parsing): verifies signed requests
+ * and sets req.chunkSignature = { key_id, collar_id }. Unsigned requests pass through;
+ * putChunks refuses them for collars that must sign (denyUnsignedChunks).
+ */
+async function verifyChunkSignature(req, res, next) {
+  const keyId = req.get('X-Signature-Key-Id');
+  const timestamp = req.get('X-Signature-Timestamp');
+  const nonce = req.get('X-Signature-Nonce');
+  const signature = req.get('X-Signature');
+  req.chunkSignature = null;
+  if (!keyId && !timestamp && !nonce && !signature) return next();
+
+  try {
+    const claimed = claimedChunkCollar(req);
+    if (!keyId || !timestamp || !nonce || !signature) {
+      return rejectSignature(req, res, {
+        collar_id: claimed,
+        key_id: keyId || null,
+        reason: 'incomplete_headers',
+        message: 'X-Signature-Key-Id, X-Signature-Timestamp, X-Signature-Nonce and X-Signature are all required'
+      });
+    }
+
+    const { rows } = await pool.query(
+      'SELECT key_id, collar_id, secret FROM collar_signing_keys WHERE key_id = $1 AND revoked_at IS NULL',
+      [keyId]
+    );
+    const key = rows[0];
+    if (!key) {
+      return rejectSignature(req, res, {
+        collar_id: claimed, key_id: keyId, reason: 'unknown_key', message: 'Unknown or revoked signing key'
+      });
+    }
+    const fail = (reason, message) => rejectSignature(req, res, { collar_id: key.collar_id, key_id: keyId, reason, message });
+
+    if (req.auth && req.auth.role === 'device' && req.auth.collar_id !== key.collar_id) {
+      return fail('collar_mismatch', `Signing key is for collar ${key.collar_id}, device key for ${req.auth.collar_id}`);
+    }
+    if (!/^\d{1,12}$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_WINDOW_S) {
+      return fail('stale_timestamp', `X-Signature-Timestamp must be unix seconds within ${SIGNATURE_WINDOW_S}s of server time`);
+    }
+    if (!SIGNATURE_NONCE_RE.test(nonce)) {
+      return fail('invalid_nonce', 'X-Signature-Nonce must be 16-128 characters of [A-Za-z0-9_-]');
+    }
+    const body = Buffer.isBuffer(req.body) ? req.body : req.rawBody;
+    const bodyHash = crypto.createHash('sha256').update(body || Buffer.alloc(0)).digest('hex');
+    const secret = decryptSigningSecret(key.key_id, key.secret);
+    if (!signatureMatches(secret, chunkSigningString(req.method, req.originalUrl, timestamp, nonce, bodyHash), signature)) {
+      return fail('bad_signature', 'Signature does not match the request');
+    }
+
+    // Only a verified request records its nonce. The same request sent again (response lost,
+    // ingest failed) goes through: stored chunks come back as duplicates, the rest is ingested
+    const { rowCount } = await pool.query(
+      `INSERT INTO chunk_signature_nonces (collar_id, nonce, body_hash) VALUES ($1, $2, $3)
+       ON CONFLICT (collar_id, nonce) DO NOTHING`,
+      [key.collar_id, nonce, bodyHash]
+    );
+    if (rowCount === 0) {
+      const { rows: seen } = await pool.query(
+        'SELECT body_hash FROM chunk_signature_nonces WHERE collar_id = $1 AND nonce = $2',
+        [key.collar_id, nonce]
+      );
+      if (!seen.length || seen[0].body_hash !== bodyHash) {
+        return fail('replayed_nonce', 'Nonce already used with another body; sign every new request with a new nonce');
+      }
+    }
+
+    req.chunkSignature = { key_id: key.key_id, collar_id: key.collar_id };
+    next();
+  } catch (err) {
+    console.error('Chunk signature verification error', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * For putChunks once the chunks' collar_id is known: the signature must be for that
+ * collar, and a collar that must sign cannot upload unsigned. True when refused.
+ */
+async function denyUnsignedChunks(req, res, collar_id) {
+  const sig = req.chunkSignature;
+  if (sig) {
+    if (sig.collar_id === collar_id) return false;
+    await rejectSignature(req, res, {
+      collar_id: sig.collar_id,
+      key_id: sig.key_id,
+      reason: 'collar_mismatch',
+      message: `Signing key is for collar ${sig.collar_id}, chunks are for ${collar_id}`
+    });
+    return true;
+  }
+
+  let required = CHUNK_SIGNATURES_REQUIRED;
+  if (!required) {
+    const { rows } = await pool.query(
+      'SELECT 1 FROM collar_signing_keys WHERE collar_id = $1 AND revoked_at IS NULL LIMIT 1',
+      [collar_id]
+    );
+    required = rows.length > 0;
+  }
+  if (!required) return false;
+  await rejectSignature(req, res, {
+    collar_id, reason: 'missing_signature', message: `Uploads for collar ${collar_id} must be signed`
+  });
+  return true;
+}
+
+// Drop nonces that can no longer be replayed (their timestamp is out of the window) and old failure logs
+async function pruneSignatureRecords() {
+  try {
+    await pool.query(
+      `DELETE FROM chunk_signature_nonces WHERE seen_at < NOW() - make_interval(secs => $1)`,
+      [2 * SIGNATURE_WINDOW_S]
+    );
+    await pool.query(
+      `DELETE FROM chunk_signature_failures WHERE created_at < NOW() - make_interval(days => $1)`,
+      [SIGNATURE_FAILURE_RETENTION_DAYS]
+    );
+  } catch (err) {
+    console.error('[Signature] prune error', err);
+  }
+}
+
+// rawBody: the exact bytes, for chunk signature verification
+app.use(bodyParser.json({
+  limit: '20mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 /* -----------------------------
    StepCounter (Sheep Algorithm - Jiang et al. 2023)
    ----------------------------- */
 class StepCounter {
   constructor(params = {}) {
+    this.algorithm = 'sheep_jiang2023';
+
     // Sheep-specific algorithm parameters (from Jiang et al. 2023)
     this.SAMPLE_RATE_HZ = params.sample_rate_hz || 32;
     this.SAMPLE_PERIOD_MS = 1000 / this.SAMPLE_RATE_HZ;
@@ -87,6 +545,17 @@ class StepCounter {
     this.SHAKE_REGIONAL_PEAK_MAX = params.shake_regional_peak_max || 39.0;
     this.SHAKE_VARIANCE_THRESHOLD = params.shake_variance_threshold || 10.0;
 
+    // Windows counted in samples are tuned for the configured rate; setSampleRate rescales
+    // them so they keep their duration at a measured rate
+    this.TUNED_RATE_HZ = this.SAMPLE_RATE_HZ;
+    this.tunedWindows = {
+      peak_window_n: this.PEAK_WINDOW_N,
+      valley_window_n: this.VALLEY_WINDOW_N,
+      filter_window_size: this.FILTER_WINDOW_SIZE,
+      process_window_samples: this.PROCESS_WINDOW_SAMPLES,
+      baseline_step_samples: this.BASELINE_STEP_SAMPLES
+    };
+
     // Moving average filter for acceleration
     this.filterBuffer = new Array(this.FILTER_WINDOW_SIZE).fill(0);
     this.filterIndex = 0;
@@ -101,8 +570,10 @@ class StepCounter {
     this.peaks = [];
     this.valleys = [];
     
-    // Step counting state
+    // Step counting state: walking_steps are the counted peaks outside confirmed running bouts;
+    // running_steps is the bout-length estimate (scaled by RUN_SCALING_FACTOR), not a part of step_count
     this.step_count = 0;
+    this.walking_steps = 0;
     this.running_steps = 0;
     this.leg_shake_removed = 0;
     this.sample_index = 0;
@@ -291,11 +762,11 @@ class StepCounter {
     return variance;
   }
 
-  // Count normal steps
-  countNormalSteps() {
+  // Count normal steps (optionally only the peaks matching filter)
+  countNormalSteps(filter = () => true) {
     let stepCount = 0;
     for (let i = 0; i < this.peaks.length; i++) {
-      if (this.peaks[i].value > this.PEAK_THRESHOLD) {
+      if (this.peaks[i].value > this.PEAK_THRESHOLD && filter(this.peaks[i])) {
         stepCount++;
       }
     }
@@ -311,12 +782,90 @@ class StepCounter {
     const normalSteps = this.countNormalSteps();
     
     this.step_count += normalSteps;
+    // Peaks of a confirmed running bout are marked processed
+    this.walking_steps += this.countNormalSteps(peak => !peak.processed);
 
     // Clear buffers
     this.peaks = [];
     this.valleys = [];
   }
 
+  // Sample rate measured by the clock model; applies from the next sample on. Peak/valley,
+  // filter and processing windows and the running baseline are scaled from the configured rate
+  setSampleRate(hz) {
+    this.SAMPLE_RATE_HZ = hz;
+    this.SAMPLE_PERIOD_MS = 1000 / hz;
+
+    const scale = hz / this.TUNED_RATE_HZ;
+    const scaled = n => Math.max(1, Math.round(n * scale));
+    this.PEAK_WINDOW_N = scaled(this.tunedWindows.peak_window_n);
+    this.VALLEY_WINDOW_N = scaled(this.tunedWindows.valley_window_n);
+    this.PROCESS_WINDOW_SAMPLES = scaled(this.tunedWindows.process_window_samples);
+    this.BASELINE_STEP_SAMPLES = this.tunedWindows.baseline_step_samples * scale;
+    this.resizeFilter(scaled(this.tunedWindows.filter_window_size));
+  }
+
+  // Change the moving average length, keeping the most recent inputs
+  resizeFilter(size) {
+    if (size === this.FILTER_WINDOW_SIZE) return;
+    const recent = [];
+    for (let i = this.filterCount; i >= 1; i--) {
+      recent.push(this.filterBuffer[(this.filterIndex - i + this.FILTER_WINDOW_SIZE) % this.FILTER_WINDOW_SIZE]);
+    }
+    const kept = recent.slice(-size);
+
+    this.FILTER_WINDOW_SIZE = size;
+    this.filterBuffer = new Array(size).fill(0);
+    kept.forEach((value, i) => { this.filterBuffer[i] = value; });
+    this.filterIndex = kept.length % size;
+    this.filterSum = kept.reduce((a, b) => a + b, 0);
+    this.filterCount = kept.length;
+  }
+
+  // Full internal state (buffers, pending peaks/valleys, counters) for exact resume
+  serializeState() {
+    return {
+      tuned_rate_hz: this.TUNED_RATE_HZ,
+      sample_rate_hz: this.SAMPLE_RATE_HZ,
+      filterBuffer: this.filterBuffer.slice(),
+      filterIndex: this.filterIndex,
+      filterSum: this.filterSum,
+      filterCount: this.filterCount,
+      accBuffer: this.accBuffer.slice(),
+      gyroBuffer: this.gyroBuffer.slice(),
+      peaks: this.peaks.map(p => ({ ...p })),
+      valleys: this.valleys.map(v => ({ ...v })),
+      step_count: this.step_count,
+      walking_steps: this.walking_steps,
+      running_steps: this.running_steps,
+      leg_shake_removed: this.leg_shake_removed,
+      sample_index: this.sample_index
+    };
+  }
+
+  restoreState(state) {
+    // Windows as they were scaled when the state was saved, from the rate they were tuned for
+    if (state.tuned_rate_hz) this.TUNED_RATE_HZ = state.tuned_rate_hz;
+    if (state.sample_rate_hz) this.setSampleRate(state.sample_rate_hz);
+    this.step_count = state.step_count || 0;
+    this.walking_steps = state.walking_steps ?? Math.max(0, this.step_count - (state.running_steps || 0));
+    this.running_steps = state.running_steps || 0;
+    this.leg_shake_removed = state.leg_shake_removed || 0;
+    this.sample_index = state.sample_index || 0;
+    this.accBuffer = Array.isArray(state.accBuffer) ? state.accBuffer.slice() : [];
+    this.gyroBuffer = Array.isArray(state.gyroBuffer) ? state.gyroBuffer.slice() : [];
+    this.peaks = Array.isArray(state.peaks) ? state.peaks.map(p => ({ ...p })) : [];
+    this.valleys = Array.isArray(state.valleys) ? state.valleys.map(v => ({ ...v })) : [];
+
+    // Filter history only carries over if the window size was not re-tuned since
+    if (Array.isArray(state.filterBuffer) && state.filterBuffer.length === this.FILTER_WINDOW_SIZE) {
+      this.filterBuffer = state.filterBuffer.slice();
+      this.filterIndex = state.filterIndex || 0;
+      this.filterSum = state.filterSum || 0;
+      this.filterCount = state.filterCount || 0;
+    }
+  }
+
   // Process chunk of samples
   processChunk(samples) {
     for (const sample of samples) {
@@ -350,6 +899,206 @@ class StepCounter {
   }
 }
 
+/* -----------------------------
+   ZeroCrossStepCounter (gravity-aligned vertical axis)
+   Gravity smoothing -> rotate to global Z -> DV filtering -> zero-line estimation
+   -> falling zero-cross detection -> frequency gate
+   ----------------------------- */
+class ZeroCrossStepCounter {
+  constructor(params = {}) {
+    this.algorithm = 'zero_cross_global_z';
+
+    this.SAMPLE_RATE_HZ = params.sample_rate_hz || 32;
+    this.GRAVITY_ALPHA = params.gravity_alpha || 0.02;      // EMA weight of gravity estimate
+    this.DV_FILTER_WINDOW = params.dv_filter_window || 3;   // smoothing of dynamic vertical acc
+    this.ZERO_LINE_WINDOW = params.zero_line_window || 32;  // running mean used as zero line
+    this.MIN_STEP_HZ = params.min_step_hz || 2.25;
+    this.MAX_STEP_HZ = params.max_step_hz || 3.75;
+    this.MIN_SWING = params.min_swing || 0.5;               // m/s² above zero line to arm a crossing
+
+    this.gravity = null;
+    this.dvWindow = [];
+    this.zeroWindow = [];
+    this.prevRel = null;
+    this.armed = false;
+    this.lastCrossSample = null;
+    this.pendingStep = false;
+
+    // Shared counter interface (no running detection: every step is a walking step)
+    this.step_count = 0;
+    this.walking_steps = 0;
+    this.running_steps = 0;
+    this.leg_shake_removed = 0;
+    this.sample_index = 0;
+  }
+
+  // Push into a fixed-size window and return its mean
+  windowMean(window, value, size) {
+    window.push(value);
+    if (window.length > size) window.shift();
+    return window.reduce((a, b) => a + b, 0) / window.length;
+  }
+
+  // Slowly tracking low-pass of raw acceleration = gravity vector
+  updateGravity(ax, ay, az) {
+    if (!this.gravity) {
+      this.gravity = [ax, ay, az];
+      return;
+    }
+    this.gravity[0] += this.GRAVITY_ALPHA * (ax - this.gravity[0]);
+    this.gravity[1] += this.GRAVITY_ALPHA * (ay - this.gravity[1]);
+    this.gravity[2] += this.GRAVITY_ALPHA * (az - this.gravity[2]);
+  }
+
+  // Falling crossing: count it if the interval since the previous one is within the cadence gate
+  onFallingCross() {
+    if (this.lastCrossSample !== null) {
+      const stepHz = this.SAMPLE_RATE_HZ / (this.sample_index - this.lastCrossSample);
+      if (stepHz >= this.MIN_STEP_HZ && stepHz <= this.MAX_STEP_HZ) {
+        // The crossing that opened this bout is counted once the bout is confirmed
+        const steps = this.pendingStep ? 2 : 1;
+        this.step_count += steps;
+        this.walking_steps += steps;
+        this.pendingStep = false;
+      } else {
+        this.pendingStep = true;
+      }
+    } else {
+      this.pendingStep = true;
+    }
+    this.lastCrossSample = this.sample_index;
+  }
+
+  processSample(ax, ay, az) {
+    this.updateGravity(ax, ay, az);
+
+    const [gx, gy, gz] = this.gravity;
+    const gMag = Math.sqrt(gx * gx + gy * gy + gz * gz);
+    if (gMag > 0) {
+      // Projection on the gravity axis minus |g| = dynamic vertical acceleration
+      const vertical = (ax * gx + ay * gy + az * gz) / gMag - gMag;
+      const dv = this.windowMean(this.dvWindow, vertical, this.DV_FILTER_WINDOW);
+      const zeroLine = this.windowMean(this.zeroWindow, dv, this.ZERO_LINE_WINDOW);
+      const rel = dv - zeroLine;
+
+      if (rel > this.MIN_SWING) this.armed = true;
+      if (this.armed && this.prevRel !== null && this.prevRel >= 0 && rel < 0) {
+        this.armed = false;
+        this.onFallingCross();
+      }
+      this.prevRel = rel;
+    }
+
+    this.sample_index++;
+  }
+
+  // Sample rate measured by the clock model; applies from the next sample on
+  setSampleRate(hz) {
+    this.SAMPLE_RATE_HZ = hz;
+  }
+
+  // Full internal state (gravity estimate, filter windows, crossing tracker, counters) for exact resume
+  serializeState() {
+    return {
+      gravity: this.gravity ? this.gravity.slice() : null,
+      dvWindow: this.dvWindow.slice(),
+      zeroWindow: this.zeroWindow.slice(),
+      prevRel: this.prevRel,
+      armed: this.armed,
+      lastCrossSample: this.lastCrossSample,
+      pendingStep: this.pendingStep,
+      step_count: this.step_count,
+      walking_steps: this.walking_steps,
+      running_steps: this.running_steps,
+      leg_shake_removed: this.leg_shake_removed,
+      sample_index: this.sample_index,
+      sample_rate_hz: this.SAMPLE_RATE_HZ
+    };
+  }
+
+  restoreState(state) {
+    if (state.sample_rate_hz) this.setSampleRate(state.sample_rate_hz);
+    this.gravity = Array.isArray(state.gravity) ? state.gravity.slice() : null;
+    this.dvWindow = Array.isArray(state.dvWindow) ? state.dvWindow.slice(-this.DV_FILTER_WINDOW) : [];
+    this.zeroWindow = Array.isArray(state.zeroWindow) ? state.zeroWindow.slice(-this.ZERO_LINE_WINDOW) : [];
+    this.prevRel = state.prevRel ?? null;
+    this.armed = !!state.armed;
+    this.lastCrossSample = state.lastCrossSample ?? null;
+    this.pendingStep = !!state.pendingStep;
+    this.step_count = state.step_count || 0;
+    this.walking_steps = state.walking_steps ?? this.step_count;
+    this.running_steps = state.running_steps || 0;
+    this.leg_shake_removed = state.leg_shake_removed || 0;
+    this.sample_index = state.sample_index || 0;
+  }
+
+  // Process chunk of samples
+  processChunk(samples) {
+    for (const sample of samples) {
+      this.processSample(sample.ax, sample.ay, sample.az);
+    }
+    return this.step_count;
+  }
+}
+
+/* -----------------------------
+   Step counting algorithm registry
+   Every implementation exposes processChunk(samples) and step_count
+   (plus walking_steps, the part of step_count outside running bouts, and
+   running_steps / leg_shake_removed, zero when not applicable)
+   and serializeState() / restoreState(state) for persistence, and
+   setSampleRate(hz) for the rate measured by the clock model.
+   ----------------------------- */
+const DEFAULT_STEP_ALGORITHM = 'sheep_jiang2023';
+
+const STEP_ALGORITHMS = {
+  sheep_jiang2023: {
+    description: 'Sheep model (Jiang et al. 2023): acc magnitude peaks with running and leg-shake correction',
+    create: params => new StepCounter(params)
+  },
+  zero_cross_global_z: {
+    description: 'Gravity-aligned vertical acc, falling zero-cross with 2.25-3.75 Hz cadence gate',
+    create: params => new ZeroCrossStepCounter(params)
+  }
+};
+
+// Build the counter named by params.algorithm; algorithm_params are merged over the column params.
+// params.measured_rate_hz (see getStepCounterParams) is applied after construction
+function createStepCounter(params = {}) {
+  const name = params.algorithm || DEFAULT_STEP_ALGORITHM;
+  const entry = STEP_ALGORITHMS[name];
+  if (!entry) {
+    throw new Error(`Unknown step counting algorithm: ${name}`);
+  }
+  const sc = entry.create({ ...params, ...(params.algorithm_params || {}) });
+  if (params.measured_rate_hz) sc.setSampleRate(params.measured_rate_hz);
+  return sc;
+}
+
+// Stored step_counter_params defaults (also the set of tunable fields)
+const STEP_COUNTER_PARAM_DEFAULTS = {
+  peak_threshold: 12.0,
+  peak_window_n: 4,
+  filter_window_size: 5,
+  process_window_samples: 100,
+  run_start_threshold: 30.0,
+  shake_start_threshold: 12.0,
+  sample_rate_hz: 32,
+  valley_window_n: 2,
+  run_end_threshold_high: 20.0,
+  run_end_threshold_low: 12.0,
+  run_peak_valley_diff: 20.0,
+  run_scaling_factor: 2.1,
+  baseline_step_samples: 29,
+  shake_peak_valley_diff: 12.0,
+  shake_regional_peak_max: 39.0,
+  shake_variance_threshold: 10.0,
+  algorithm: DEFAULT_STEP_ALGORITHM,
+  algorithm_params: {},
+  // Ingestion, not the algorithm: samples are held until this far behind the newest received
+  reorder_horizon_samples: 3000
+};
+
 /* -----------------------------
    In-memory maps for state (per-collar)
    ✅ FIXED: Memory leak prevention with cleanup
@@ -377,21 +1126,42 @@ function cleanupInactiveSessions() {
     }
   }
 
+  let evicted = 0;
   for (const key of keysToDelete) {
+    const sep = key.lastIndexOf(':');
+    const collar_id = key.slice(0, sep);
+    // A collar with an ingest running or queued is left for the next pass
+    if (ingestQueueByCollar.has(collar_id)) continue;
+
+    // An idle session still holding samples gets them counted first; it is evicted on the next pass
+    const buffer = reorderBufferBySession.get(key);
+    if (buffer && buffer.samples.size > 0) {
+      withCollarIngestLock(collar_id, () => flushReorderBuffer(collar_id, key.slice(sep + 1)))
+        .catch(err => console.error(`[Memory Cleanup] Reorder flush failed for ${key}`, err));
+      continue;
+    }
+
     // Only clear memory caches - DB records remain intact
     stepCounterBySession.delete(key);
     lastSampleNumberBySession.delete(key);
+    reorderBufferBySession.delete(key);
+    calibrationBySession.delete(key);
     sessionLastAccessTime.delete(key);
+    evicted++;
     console.log(`[Memory Cleanup] Cleared in-memory cache for inactive session: ${key} (DB records preserved)`);
   }
 
-  if (keysToDelete.length > 0) {
-    console.log(`[Memory Cleanup] Freed memory for ${keysToDelete.length} inactive sessions. All DB data preserved.`);
+  // Drop finished parameter search jobs after the same inactivity window
+  for (const [jobId, job] of paramSearchJobs.entries()) {
+    if (job.finished_at && now - Date.parse(job.finished_at) > SESSION_INACTIVE_THRESHOLD_MS) {
+      paramSearchJobs.delete(jobId);
+    }
   }
-}
 
-// Start cleanup interval
-setInterval(cleanupInactiveSessions, SESSION_CLEANUP_INTERVAL_MS);
+  if (evicted > 0) {
+    console.log(`[Memory Cleanup] Freed memory for ${evicted} inactive sessions. All DB data preserved.`);
+  }
+}
 
 /* -----------------------------
    Helper to update session access time
@@ -412,11 +1182,14 @@ async function getLastProcessedSampleNumber(collar_id, session_id) {
     return lastSampleNumberBySession.get(sessionKey);
   }
   
-  // If not in memory, load from DB (happens after memory cleanup or restart)
+  // If not in memory, load from DB (happens after memory cleanup or restart).
+  // The latest chunk holds it: it only moves forward, except after a sample_number reset.
   const { rows } = await pool.query(
-    `SELECT MAX((output_metric->>'last_sample_number')::bigint) as last_sample
+    `SELECT (output_metric->>'last_sample_number')::bigint as last_sample
      FROM collar_chunks
-     WHERE collar_id = $1 AND session_id = $2`,
+     WHERE collar_id = $1 AND session_id = $2
+     ORDER BY id DESC
+     LIMIT 1`,
     [collar_id, session_id]
   );
   
@@ -431,15 +1204,34 @@ async function getLastProcessedSampleNumber(collar_id, session_id) {
   return lastSample;
 }
 
-// Sum all steps_in_chunk for a given collar+session from the DB
-async function getSessionStepTotal(collar_id, session_id) {
+// Step totals for a session: walking steps (counted outside running bouts), the independent
+// running-bout estimate, and leg-shake peaks removed.
+async function getSessionStepBreakdown(collar_id, session_id) {
   const { rows } = await pool.query(
-    `SELECT COALESCE(SUM((output_metric->>'steps_in_chunk')::numeric), 0) AS total
+    `SELECT COALESCE(SUM((output_metric->>'steps_in_chunk')::numeric), 0) AS steps,
+            COALESCE(SUM((output_metric->>'walking_steps_in_chunk')::numeric), 0) AS walking_steps,
+            COALESCE(SUM((output_metric->>'running_steps_in_chunk')::numeric), 0) AS running_steps,
+            COALESCE(SUM((output_metric->>'leg_shake_removed_in_chunk')::numeric), 0) AS leg_shake_removed
        FROM collar_chunks
       WHERE collar_id = $1 AND session_id = $2`,
     [collar_id, session_id]
   );
-  return Number(rows[0].total || 0);
+  return {
+    steps: Number(rows[0].steps || 0),
+    walking_steps: Number(rows[0].walking_steps || 0),
+    running_steps: Number(rows[0].running_steps || 0),
+    leg_shake_removed: Number(rows[0].leg_shake_removed || 0)
+  };
+}
+
+// Per-session step block stored on collars.output_metric.sessions[session_id]
+function sessionStepMetric(sc) {
+  return {
+    steps: sc.step_count,
+    walking_steps: sc.walking_steps,
+    running_steps: sc.running_steps,
+    leg_shake_removed: sc.leg_shake_removed
+  };
 }
 
 async function getStepCounterParams(collar_id, session_id) {
@@ -448,13 +1240,120 @@ async function getStepCounterParams(collar_id, session_id) {
             process_window_samples, run_start_threshold, shake_start_threshold,
             sample_rate_hz, valley_window_n, run_end_threshold_high, run_end_threshold_low,
             run_peak_valley_diff, run_scaling_factor, baseline_step_samples,
-            shake_peak_valley_diff, shake_regional_peak_max, shake_variance_threshold
+            shake_peak_valley_diff, shake_regional_peak_max, shake_variance_threshold,
+            algorithm, algorithm_params, reorder_horizon_samples
      FROM step_counter_params
      WHERE collar_id = $1 AND session_id = $2
      LIMIT 1`,
     [collar_id, session_id]
   );
-  return rows.length > 0 ? rows[0] : {};
+  const params = rows.length > 0 ? rows[0] : {};
+  // The session's measured sample rate (clock model); createStepCounter applies it over the
+  // configured sample_rate_hz, which stays the rate the windows are tuned for
+  const clock = await getSessionClock(collar_id, session_id);
+  params.measured_rate_hz = clock.source !== 'default' ? clock.sample_rate_hz : null;
+  return params;
+}
+
+/**
+ * Insert/update step counter parameters for a session.
+ * New rows start from STEP_COUNTER_PARAM_DEFAULTS; existing rows only update provided fields.
+ * Returns the stored row, or null when there was nothing valid to update.
+ */
+async function saveStepCounterParams(collar_id, session_id, params) {
+  // Default values for initial insert
+  const defaults = STEP_COUNTER_PARAM_DEFAULTS;
+
+  // Check if record exists
+  const { rows: existing } = await pool.query(
+    `SELECT * FROM step_counter_params WHERE collar_id = $1 AND session_id = $2`,
+    [collar_id, session_id]
+  );
+
+  let result;
+  if (existing.length === 0) {
+    // Insert with defaults + provided params
+    const insertParams = { ...defaults, ...params };
+    const { rows } = await pool.query(
+      `INSERT INTO step_counter_params
+        (collar_id, session_id, peak_threshold, peak_window_n, filter_window_size, 
+         process_window_samples, run_start_threshold, shake_start_threshold,
+         sample_rate_hz, valley_window_n, run_end_threshold_high, run_end_threshold_low,
+         run_peak_valley_diff, run_scaling_factor, baseline_step_samples,
+         shake_peak_valley_diff, shake_regional_peak_max, shake_variance_threshold,
+         algorithm, algorithm_params, reorder_horizon_samples, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,NOW(),NOW())
+       RETURNING *`,
+      [collar_id, session_id, 
+       insertParams.peak_threshold, insertParams.peak_window_n, insertParams.filter_window_size,
+       insertParams.process_window_samples, insertParams.run_start_threshold, insertParams.shake_start_threshold,
+       insertParams.sample_rate_hz, insertParams.valley_window_n, insertParams.run_end_threshold_high, 
+       insertParams.run_end_threshold_low, insertParams.run_peak_valley_diff, insertParams.run_scaling_factor,
+       insertParams.baseline_step_samples, insertParams.shake_peak_valley_diff, insertParams.shake_regional_peak_max,
+       insertParams.shake_variance_threshold, insertParams.algorithm,
+       JSON.stringify(insertParams.algorithm_params || {}), insertParams.reorder_horizon_samples]
+    );
+    result = rows[0];
+  } else {
+    // Update only provided fields
+    const updateFields = [];
+    const updateValues = [collar_id, session_id];
+    let paramIndex = 3;
+
+    for (const [key, value] of Object.entries(params)) {
+      if (defaults.hasOwnProperty(key)) {
+        updateFields.push(`${key} = $${paramIndex}`);
+        updateValues.push(key === 'algorithm_params' ? JSON.stringify(value || {}) : value);
+        paramIndex++;
+      }
+    }
+
+    if (updateFields.length === 0) {
+      return null;
+    }
+
+    updateFields.push('updated_at = NOW()');
+
+    const { rows } = await pool.query(
+      `UPDATE step_counter_params 
+       SET ${updateFields.join(', ')}
+       WHERE collar_id = $1 AND session_id = $2
+       RETURNING *`,
+      updateValues
+    );
+    result = rows[0];
+  }
+
+  // Clear from cache so next chunk will reload fresh params (the reorder buffer rebuilds from DB)
+  const key = `${collar_id}:${session_id}`;
+  stepCounterBySession.delete(key);
+  reorderBufferBySession.delete(key);
+
+  return result;
+}
+
+async function loadStepCounterState(collar_id, session_id) {
+  const { rows } = await pool.query(
+    `SELECT algorithm, state, last_sample_number
+       FROM step_counter_state
+      WHERE collar_id = $1 AND session_id = $2`,
+    [collar_id, session_id]
+  );
+  return rows.length ? rows[0] : null;
+}
+
+// Upsert the counter's full state; `db` is the pool or a client inside a transaction
+async function saveStepCounterState(db, collar_id, session_id, sc, lastSampleNumber) {
+  await db.query(
+    `INSERT INTO step_counter_state (collar_id, session_id, algorithm, state, last_sample_number, updated_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (collar_id, session_id) DO UPDATE SET
+       algorithm = EXCLUDED.algorithm,
+       state = EXCLUDED.state,
+       last_sample_number = EXCLUDED.last_sample_number,
+       updated_at = NOW()`,
+    [collar_id, session_id, sc.algorithm, JSON.stringify(sc.serializeState()), lastSampleNumber]
+  );
 }
 
 async function getOrInitStepCounter(collar_id, session_id) {
@@ -464,9 +1363,22 @@ async function getOrInitStepCounter(collar_id, session_id) {
 
   // Fetch params from DB for this session
   const params = await getStepCounterParams(collar_id, session_id);
-  sc = new StepCounter(params);
-  // Seed from DB so restarts preserve counts
-  sc.step_count = await getSessionStepTotal(collar_id, session_id);
+  sc = createStepCounter(params);
+
+  // Prefer the full saved state, but only if it was written for the last chunk we stored
+  const saved = await loadStepCounterState(collar_id, session_id);
+  const lastSample = await getLastProcessedSampleNumber(collar_id, session_id);
+  if (saved && saved.algorithm === sc.algorithm && String(saved.last_sample_number) === String(lastSample)) {
+    sc.restoreState(saved.state);
+    console.log(`[DB Recovery] Restored full StepCounter state for ${key} at sample ${lastSample}`);
+  } else {
+    // Seed from DB so restarts preserve counts
+    const totals = await getSessionStepBreakdown(collar_id, session_id);
+    sc.step_count = totals.steps;
+    sc.walking_steps = totals.walking_steps;
+    sc.running_steps = totals.running_steps;
+    sc.leg_shake_removed = totals.leg_shake_removed;
+  }
   stepCounterBySession.set(key, sc);
   return sc;
 }
@@ -474,8 +1386,32 @@ async function getOrInitStepCounter(collar_id, session_id) {
 /* -----------------------------
    Sessions helpers (collar_sessions table)
    ----------------------------- */
-async function generateAndInsertSession(collar_id, created_by = 'api', dogMetadata = {}) {
-  const client = await pool.connect();
+
+// Dog details from the collar row, stored on a session as its dog_metadata snapshot
+function dogMetadataSnapshot(collar) {
+  return {
+    dog_name: collar.dog_name,
+    breed: collar.breed,
+    age: collar.age,
+    height: collar.height,
+    weight: collar.weight,
+    sex: collar.sex,
+    coat_type: collar.coat_type,
+    temperature_irgun: collar.temperature_irgun,
+    collar_orientation: collar.collar_orientation,
+    medical_info: collar.medical_info,
+    remarks: collar.remarks
+  };
+}
+
+/**
+ * Insert a new session for the collar and return its id. By default it becomes the
+ * collar's active session; activate: false adds it alongside (e.g. an imported recording),
+ * created_at backdates it. With `client` it runs inside the caller's transaction.
+ */
+async function generateAndInsertSession(collar_id, created_by = 'api', dogMetadata = {},
+                                        { activate = true, created_at = null, client: txClient = null } = {}) {
+  const client = txClient || await pool.connect();
   try {
     const { rows } = await client.query(
       'SELECT session_id FROM collar_sessions WHERE collar_id = $1',
@@ -495,22 +1431,26 @@ async function generateAndInsertSession(collar_id, created_by = 'api', dogMetada
       session_id = crypto.randomBytes(12).toString('hex');
     }
 
-    await client.query('BEGIN');
-    await client.query(
-      'UPDATE collar_sessions SET active = FALSE WHERE collar_id = $1',
-      [collar_id]
-    );
+    if (!txClient) await client.query('BEGIN');
+    if (activate) {
+      await client.query(
+        'UPDATE collar_sessions SET active = FALSE WHERE collar_id = $1',
+        [collar_id]
+      );
+    }
     await client.query(
-      'INSERT INTO collar_sessions (collar_id, session_id, active, created_by, dog_metadata, created_at) VALUES ($1,$2,TRUE,$3,$4,NOW())',
-      [collar_id, session_id, created_by, JSON.stringify(dogMetadata)]
+      'INSERT INTO collar_sessions (collar_id, session_id, active, created_by, dog_metadata, created_at) VALUES ($1,$2,$3,$4,$5,COALESCE($6::timestamptz, NOW()))',
+      [collar_id, session_id, activate, created_by, JSON.stringify(dogMetadata), created_at]
     );
-    await client.query('COMMIT');
+    if (!txClient) await client.query('COMMIT');
     return session_id;
   } catch (e) {
-    try { await client.query('ROLLBACK'); } catch (_) {}
+    if (!txClient) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+    }
     throw e;
   } finally {
-    client.release();
+    if (!txClient) client.release();
   }
 }
 
@@ -541,43 +1481,110 @@ async function validateCompositeSession(collar_id, session_id) {
   }
 }
 
+/* -----------------------------
+   IMU sample formats (format_version on the chunk)
+   Each format lists its little-endian record fields; int16 fields carry a scale to
+   physical units. Whatever the layout, decoded samples have sample_number,
+   timestamp_ms_dev and ax..gz (m/s², °/s), plus mx..mz (µT) when the format has them.
+   A changed full-scale range on the collar is a new format_version.
+   ----------------------------- */
+const DEFAULT_IMU_FORMAT_VERSION = 1;
+const STANDARD_GRAVITY = 9.80665;
+const ACC_I16_SCALE = (16 * STANDARD_GRAVITY) / 32768; // ±16 g full scale, m/s² per LSB
+const GYRO_I16_SCALE = 2000 / 32768;                    // ±2000 °/s full scale, °/s per LSB
+const MAG_I16_SCALE = 0.15;                              // µT per LSB
+
+const IMU_FIELD_TYPES = {
+  u32: { bytes: 4, read: (buf, off) => buf.readUInt32LE(off) },
+  f32: { bytes: 4, read: (buf, off) => buf.readFloatLE(off) },
+  i16: { bytes: 2, read: (buf, off) => buf.readInt16LE(off) }
+};
+
+const IMU_RECORD_HEADER = [['sample_number', 'u32'], ['timestamp_ms_dev', 'u32']];
+
+const IMU_FORMATS = {
+  1: {
+    description: 'u32 sample_number, u32 timestamp_ms_dev, float32 ax ay az (m/s²) gx gy gz (°/s)',
+    fields: [...IMU_RECORD_HEADER, ...['ax', 'ay', 'az', 'gx', 'gy', 'gz'].map(name => [name, 'f32'])]
+  },
+  2: {
+    description: 'format 1 + float32 mx my mz (µT)',
+    fields: [...IMU_RECORD_HEADER, ...['ax', 'ay', 'az', 'gx', 'gy', 'gz', 'mx', 'my', 'mz'].map(name => [name, 'f32'])]
+  },
+  3: {
+    description: 'u32 sample_number, u32 timestamp_ms_dev, int16 ax ay az (±16 g), gx gy gz (±2000 °/s), mx my mz (0.15 µT/LSB)',
+    fields: [
+      ...IMU_RECORD_HEADER,
+      ...['ax', 'ay', 'az'].map(name => [name, 'i16', ACC_I16_SCALE]),
+      ...['gx', 'gy', 'gz'].map(name => [name, 'i16', GYRO_I16_SCALE]),
+      ...['mx', 'my', 'mz'].map(name => [name, 'i16', MAG_I16_SCALE])
+    ]
+  }
+};
+
+for (const format of Object.values(IMU_FORMATS)) {
+  format.record_bytes = format.fields.reduce((sum, [, type]) => sum + IMU_FIELD_TYPES[type].bytes, 0);
+}
+
+// Decode failure with a machine-readable reason, returned to the uploader as reject_reason
+function chunkDecodeError(reason, message) {
+  const err = new Error(message);
+  err.reject_reason = reason;
+  return err;
+}
+
+// Registered format for a chunk's format_version (absent = the original 32-byte layout)
+function imuFormatOf(chunkObj) {
+  const raw = chunkObj.format_version;
+  const version = raw === undefined || raw === null ? DEFAULT_IMU_FORMAT_VERSION : Number(raw);
+  if (!Number.isInteger(version) || !IMU_FORMATS.hasOwnProperty(version)) {
+    throw chunkDecodeError('unknown_format_version',
+      `unsupported format_version ${JSON.stringify(raw)} (known: ${Object.keys(IMU_FORMATS).join(', ')})`);
+  }
+  return { version, ...IMU_FORMATS[version] };
+}
+
 /* -----------------------------
    Decode chunk JSON (base64 -> samples)
+   Uploads are decoded strictly: malformed base64, a buffer that is not a whole number of
+   records, or a non-finite value rejects the chunk. Stored chunks are decoded with
+   strict: false so chunks accepted before validation existed still replay (a trailing
+   partial record is dropped with a warning).
    ----------------------------- */
-function decodeChunkJson(chunkObj) {
+function decodeChunkJson(chunkObj, { strict = true } = {}) {
   if (!chunkObj || !chunkObj.imu_data) {
-    throw new Error('chunk JSON missing imu_data');
+    throw chunkDecodeError('missing_imu_data', 'chunk JSON missing imu_data');
+  }
+  const format = imuFormatOf(chunkObj);
+  if (strict && (typeof chunkObj.imu_data !== 'string' ||
+                 !/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(chunkObj.imu_data))) {
+    throw chunkDecodeError('invalid_base64', 'imu_data is not valid base64');
   }
   const buf = Buffer.from(chunkObj.imu_data, 'base64');
-  const BYTES_PER_SAMPLE = 32;
-  if (buf.length % BYTES_PER_SAMPLE !== 0) {
-    console.warn('imu_data length not multiple of 32:', buf.length);
+  if (buf.length % format.record_bytes !== 0) {
+    const message = `imu_data length ${buf.length} is not a multiple of the ` +
+                    `${format.record_bytes}-byte format ${format.version} record`;
+    if (strict) throw chunkDecodeError('misaligned_buffer', message);
+    console.warn(message);
   }
-  const numSamples = Math.floor(buf.length / BYTES_PER_SAMPLE);
+  const numSamples = Math.floor(buf.length / format.record_bytes);
   const samples = [];
   let off = 0;
   for (let i = 0; i < numSamples; ++i) {
-    const sample_number = buf.readUInt32LE(off); off += 4;
-    const timestamp_ms_dev = buf.readUInt32LE(off); off += 4;
-    const ax = buf.readFloatLE(off); off += 4;
-    const ay = buf.readFloatLE(off); off += 4;
-    const az = buf.readFloatLE(off); off += 4;
-    const gx = buf.readFloatLE(off); off += 4;
-    const gy = buf.readFloatLE(off); off += 4;
-    const gz = buf.readFloatLE(off); off += 4;
-    samples.push({
-      sample_number,
-      timestamp_ms_dev,
-      ax,
-      ay,
-      az,
-      gx,
-      gy,
-      gz
-    });
+    const sample = {};
+    for (const [name, type, scale] of format.fields) {
+      const value = IMU_FIELD_TYPES[type].read(buf, off);
+      off += IMU_FIELD_TYPES[type].bytes;
+      if (strict && !Number.isFinite(value)) {
+        throw chunkDecodeError('non_finite_value', `sample ${i}: ${name} is not a finite number`);
+      }
+      sample[name] = scale ? value * scale : value;
+    }
+    samples.push(sample);
   }
   return {
     samples,
+    format_version: format.version,
     temp_data: Array.isArray(chunkObj.temp_data) ? chunkObj.temp_data.slice() : [],
     temp_first_timestamp: chunkObj.temp_first_timestamp || null,
     real_time: chunkObj.real_time || null,
@@ -590,11 +1597,429 @@ function decodeChunkJson(chunkObj) {
   };
 }
 
+/* -----------------------------
+   Compact chunk encodings (PUT /chunks/binary)
+   application/octet-stream: a small binary header followed by the raw IMU records.
+   application/cbor: the PUT /chunks chunk fields with imu_data as a byte string.
+   Both are turned into the JSON chunk shape decodeChunkJson reads, so storage, replay
+   and recount see the same chunk either way.
+   ----------------------------- */
+const COMPACT_CHUNK_MAGIC = 'MPCK';
+const COMPACT_CHUNK_VERSIONS = [1, 2];
+const CBOR_MAX_DEPTH = 16;
+
+// IEEE 754 half precision (CBOR major type 7, additional info 25)
+function halfToFloat(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >> 10) & 0x1f;
+  const mant = h & 0x3ff;
+  if (exp === 0) return sign * mant * 2 ** -24;
+  if (exp === 31) return mant ? NaN : sign * Infinity;
+  return sign * (1 + mant / 1024) * 2 ** (exp - 15);
+}
+
+/**
+ * Decode one CBOR (RFC 8949) item spanning the whole buffer. Covers what chunk uploads
+ * need: integers, byte/text strings, arrays, maps (string keys), floats, true/false/null.
+ * Tags are skipped; indefinite lengths are rejected. Byte strings come back as Buffers.
+ */
+function decodeCbor(buf) {
+  let off = 0;
+  const need = n => {
+    if (off + n > buf.length) throw new Error('CBOR: unexpected end of data');
+  };
+  const readArgument = info => {
+    if (info < 24) return info;
+    let v;
+    if (info === 24) { need(1); v = buf.readUInt8(off); off += 1; }
+    else if (info === 25) { need(2); v = buf.readUInt16BE(off); off += 2; }
+    else if (info === 26) { need(4); v = buf.readUInt32BE(off); off += 4; }
+    else if (info === 27) {
+      need(8);
+      const big = buf.readBigUInt64BE(off);
+      off += 8;
+      if (big > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('CBOR: integer too large');
+      v = Number(big);
+    } else {
+      throw new Error(`CBOR: unsupported additional info ${info} (indefinite lengths are not accepted)`);
+    }
+    return v;
+  };
+
+  const readItem = depth => {
+    if (depth > CBOR_MAX_DEPTH) throw new Error('CBOR: nesting too deep');
+    need(1);
+    const initial = buf[off++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readArgument(info);
+      case 1:
+        return -1 - readArgument(info);
+      case 2:
+      case 3: {
+        const n = readArgument(info);
+        need(n);
+        const bytes = buf.subarray(off, off + n);
+        off += n;
+        return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+      }
+      case 4: {
+        const n = readArgument(info);
+        if (n > buf.length - off) throw new Error('CBOR: array longer than the data');
+        const arr = [];
+        for (let i = 0; i < n; i++) arr.push(readItem(depth + 1));
+        return arr;
+      }
+      case 5: {
+        const n = readArgument(info);
+        if (n * 2 > buf.length - off) throw new Error('CBOR: map longer than the data');
+        const obj = Object.create(null);
+        for (let i = 0; i < n; i++) {
+          const key = readItem(depth + 1);
+          if (typeof key !== 'string') throw new Error('CBOR: map keys must be text strings');
+          obj[key] = readItem(depth + 1);
+        }
+        return obj;
+      }
+      case 6:
+        readArgument(info);
+        return readItem(depth + 1);
+      default: {
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22 || info === 23) return null;
+        if (info === 25) { need(2); const v = halfToFloat(buf.readUInt16BE(off)); off += 2; return v; }
+        if (info === 26) { need(4); const v = buf.readFloatBE(off); off += 4; return v; }
+        if (info === 27) { need(8); const v = buf.readDoubleBE(off); off += 8; return v; }
+        throw new Error(`CBOR: unsupported simple value ${info}`);
+      }
+    }
+  };
+
+  const value = readItem(0);
+  if (off !== buf.length) throw new Error('CBOR: trailing bytes after the top-level item');
+  return value;
+}
+
+// Epoch ms or ISO string -> ISO string; null when not set
+function compactTimestamp(value, field) {
+  if (value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value))) return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new Error(`${field} must be epoch milliseconds or an ISO timestamp`);
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Validate decoded compact fields and build the JSON chunk object PUT /chunks receives
+ * (imu_data back to base64). Throws with a reason on invalid input.
+ */
+function compactChunkToJson({ collar_id, chunk_key, format_version, start_sample, real_time, temp_first_timestamp, temp_data, imu }) {
+  if (typeof collar_id !== 'string' || collar_id.length === 0) {
+    throw new Error('collar_id must be a non-empty string');
+  }
+  if (start_sample !== null && start_sample !== undefined &&
+      !(Number.isInteger(start_sample) && start_sample >= 0)) {
+    throw new Error('start_sample must be a non-negative integer');
+  }
+  if (temp_data !== undefined && temp_data !== null &&
+      !(Array.isArray(temp_data) && temp_data.every(t => typeof t === 'number' && Number.isFinite(t)))) {
+    throw new Error('temp_data must be an array of numbers');
+  }
+  if (!Buffer.isBuffer(imu)) throw new Error('imu_data must be a byte string');
+
+  const chunkObj = {
+    collar_id,
+    imu_data: imu.toString('base64'),
+    temp_data: temp_data || [],
+    temp_first_timestamp: compactTimestamp(temp_first_timestamp, 'temp_first_timestamp'),
+    real_time: compactTimestamp(real_time, 'real_time')
+  };
+  if (start_sample !== null && start_sample !== undefined) chunkObj.start_sample = start_sample;
+  if (chunk_key) chunkObj.chunk_key = String(chunk_key);
+  // Record layout is validated by decodeChunkJson like any other upload
+  if (format_version !== null && format_version !== undefined) chunkObj.format_version = format_version;
+  return chunkObj;
+}
+
+/**
+ * Parse an application/octet-stream chunk (all integers little-endian):
+ *   magic "MPCK" | version u8 (1 or 2) | [version 2: IMU format_version u8]
+ *   | collar_id length u8 | collar_id UTF-8
+ *   | chunk_key length u8 (0 = none) | chunk_key UTF-8
+ *   | start_sample u32 (0xFFFFFFFF = none) | real_time f64 epoch ms (NaN = none)
+ *   | temp_first_timestamp f64 epoch ms (NaN = none)
+ *   | temperature count u16 | temperatures i16 in 0.01 °C
+ *   | IMU records in the format_version layout (version 1: format 1, 32 bytes each)
+ */
+function parseBinaryChunk(buf) {
+  let off = 0;
+  const need = (n, what) => {
+    if (off + n > buf.length) throw new Error(`binary chunk truncated in ${what}`);
+  };
+
+  need(6, 'header');
+  if (buf.toString('latin1', 0, 4) !== COMPACT_CHUNK_MAGIC) {
+    throw new Error(`binary chunk must start with "${COMPACT_CHUNK_MAGIC}"`);
+  }
+  const version = buf.readUInt8(4);
+  if (!COMPACT_CHUNK_VERSIONS.includes(version)) throw new Error(`unsupported binary chunk version ${version}`);
+  off = 5;
+  let format_version = null;
+  if (version >= 2) {
+    format_version = buf.readUInt8(off);
+    off += 1;
+  }
+
+  const readString = what => {
+    need(1, what);
+    const len = buf.readUInt8(off);
+    off += 1;
+    need(len, what);
+    const s = buf.toString('utf8', off, off + len);
+    off += len;
+    return s;
+  };
+  const collar_id = readString('collar_id');
+  const chunk_key = readString('chunk_key') || null;
+
+  need(4 + 8 + 8 + 2, 'header');
+  const rawStart = buf.readUInt32LE(off); off += 4;
+  const real_time = buf.readDoubleLE(off); off += 8;
+  const temp_first_timestamp = buf.readDoubleLE(off); off += 8;
+  const tempCount = buf.readUInt16LE(off); off += 2;
+
+  need(tempCount * 2, 'temperatures');
+  const temp_data = [];
+  for (let i = 0; i < tempCount; i++) {
+    temp_data.push(buf.readInt16LE(off) / 100);
+    off += 2;
+  }
+
+  return compactChunkToJson({
+    collar_id,
+    chunk_key,
+    format_version,
+    start_sample: rawStart === 0xffffffff ? null : rawStart,
+    real_time,
+    temp_first_timestamp,
+    temp_data,
+    imu: buf.subarray(off)
+  });
+}
+
+/**
+ * Parse an application/cbor body: one chunk map, or an array of them (a batch). Map fields
+ * are those of a PUT /chunks chunk; imu_data is a byte string, timestamps are ISO strings
+ * or epoch ms.
+ */
+function parseCborChunks(buf) {
+  const top = decodeCbor(buf);
+  const items = Array.isArray(top) ? top : [top];
+  if (items.length === 0) throw new Error('CBOR body holds no chunks');
+
+  return items.map((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item) || Buffer.isBuffer(item)) {
+      throw new Error(`CBOR chunk ${i} must be a map`);
+    }
+    try {
+      return compactChunkToJson({ ...item, imu: item.imu_data });
+    } catch (e) {
+      throw new Error(`CBOR chunk ${i}: ${e.message}`);
+    }
+  });
+}
+
+// `data` key for a compact chunk: its chunk_key, else a content hash so a resent body maps to the same key
+function compactChunkDataKey(chunkObj) {
+  if (chunkObj.chunk_key) return chunkObj.chunk_key;
+  return `chunk_${crypto.createHash('sha1').update(JSON.stringify(chunkObj)).digest('hex').slice(0, 16)}`;
+}
+
+/* -----------------------------
+   Clock model (sample period per collar and session)
+   Each session's sample period is estimated from its real_time / start_sample anchors
+   (wall clock: least-squares slope over the anchors since the last sample_number reset,
+   used once they span CLOCK_MIN_ANCHOR_SPAN_MS) or, until then, from the
+   timestamp_ms_dev deltas of consecutive samples (device clock). collars.mapping_json
+   keeps the latest anchor and period, per-session state and a history of estimates;
+   a session without a measurement yet starts from the collar's last measured period.
+   ----------------------------- */
+const CLOCK_DEFAULT_PERIOD_MS = 10;                // assumed until measured (original 100 Hz)
+const CLOCK_MIN_ANCHOR_SPAN_MS = 5 * 60 * 1000;    // real_time has ~1 s resolution
+const CLOCK_MIN_DEV_SPAN_MS = 5000;
+const CLOCK_MAX_DEV_STEP_SAMPLES = 100;            // consecutive samples further apart are not used
+const CLOCK_PERIOD_RANGE_MS = [1, 1000];
+const CLOCK_HISTORY_MAX = 100;
+const CLOCK_MAX_SESSIONS = 20;
+const CLOCK_HISTORY_MIN_CHANGE = 0.005;            // relative period change recorded in history
+
+const clockPeriodValid = p => Number.isFinite(p) && p >= CLOCK_PERIOD_RANGE_MS[0] && p <= CLOCK_PERIOD_RANGE_MS[1];
+
+// mapping_json as stored (including the original { start_sample, real_time_epoch_ms, nominalPeriodMs }) -> model
+function normalizeClockModel(json) {
+  const model = json && typeof json === 'object' ? json : {};
+  const period = Number(model.period_ms ?? model.nominalPeriodMs);
+  return {
+    start_sample: model.start_sample ?? null,
+    real_time_epoch_ms: model.real_time_epoch_ms ?? null,
+    period_ms: clockPeriodValid(period) ? period : CLOCK_DEFAULT_PERIOD_MS,
+    sample_rate_hz: model.sample_rate_hz ?? null,
+    source: model.source || 'default',
+    sessions: model.sessions || {},
+    history: Array.isArray(model.history) ? model.history : []
+  };
+}
+
+/**
+ * Anchor and period used to timestamp a session's samples: the session's own estimate,
+ * else the collar's (source 'collar'), else CLOCK_DEFAULT_PERIOD_MS (source 'default').
+ * The anchor falls back to the collar's latest when the session has not sent real_time yet.
+ */
+function sessionClock(mappingJson, session_id) {
+  const model = normalizeClockModel(mappingJson);
+  const state = session_id !== null && session_id !== undefined ? model.sessions[session_id] : null;
+  const anchor = state && state.anchor
+    ? state.anchor
+    : { start_sample: model.start_sample, real_time_epoch_ms: model.real_time_epoch_ms };
+  const measured = state && state.source !== 'collar' && state.source !== 'default';
+  const period_ms = measured ? state.period_ms : model.period_ms;
+  const source = measured ? state.source : (model.source === 'default' ? 'default' : 'collar');
+  return {
+    start_sample: anchor.start_sample,
+    real_time_epoch_ms: anchor.real_time_epoch_ms,
+    period_ms,
+    sample_rate_hz: Number((1000 / period_ms).toFixed(3)),
+    source
+  };
+}
+
+async function getSessionClock(collar_id, session_id) {
+  const { rows } = await pool.query('SELECT mapping_json FROM collars WHERE collar_id = $1', [collar_id]);
+  return sessionClock(rows.length ? rows[0].mapping_json : null, session_id);
+}
+
+/**
+ * Fold one chunk's real_time anchor and device-clock deltas into the session's clock
+ * state and re-estimate its period. Pure: returns { model, clock } where model is the
+ * new mapping_json value and clock the session clock to timestamp this chunk with.
+ * With collarLevel: false (an imported, inactive session) only sessions[session_id] changes;
+ * the collar's anchor, period and history stay those of its live sessions.
+ */
+function updateClockModel(mappingJson, session_id, decoded, { collarLevel = true } = {}) {
+  const model = normalizeClockModel(mappingJson);
+  const previous = model.sessions[session_id] || null;
+  const state = { base: null, anchor: null, fit: null, dev_samples: 0, dev_ms: 0, ...(previous || {}) };
+
+  // Device clock: consecutive samples whose sample_number and timestamp_ms_dev both advance
+  const samples = decoded.samples;
+  for (let i = 1; i < samples.length; i++) {
+    const dn = samples[i].sample_number - samples[i - 1].sample_number;
+    const dt = samples[i].timestamp_ms_dev - samples[i - 1].timestamp_ms_dev;
+    if (dn > 0 && dn <= CLOCK_MAX_DEV_STEP_SAMPLES && dt > 0 && clockPeriodValid(dt / dn)) {
+      state.dev_samples += dn;
+      state.dev_ms += dt;
+    }
+  }
+
+  // Wall clock: a sample_number reset or an implausible period starts a new anchor baseline
+  const realEpoch = decoded.real_time ? Date.parse(decoded.real_time) : NaN;
+  if (decoded.start_sample !== null && Number.isFinite(realEpoch)) {
+    const anchor = { start_sample: decoded.start_sample, real_time_epoch_ms: realEpoch };
+    const base = state.base;
+    const basePeriod = base && anchor.start_sample > base.start_sample
+      ? (anchor.real_time_epoch_ms - base.real_time_epoch_ms) / (anchor.start_sample - base.start_sample)
+      : NaN;
+    if (!base || !clockPeriodValid(basePeriod)) {
+      state.base = anchor;
+      state.fit = { n: 0, sx: 0, sy: 0, sxx: 0, sxy: 0 };
+    }
+    // Sums for the least-squares line real_time = base + period * (sample - base sample)
+    const x = anchor.start_sample - state.base.start_sample;
+    const y = anchor.real_time_epoch_ms - state.base.real_time_epoch_ms;
+    state.fit = {
+      n: state.fit.n + 1,
+      sx: state.fit.sx + x,
+      sy: state.fit.sy + y,
+      sxx: state.fit.sxx + x * x,
+      sxy: state.fit.sxy + x * y
+    };
+    state.anchor = anchor;
+  }
+
+  const anchorSpanMs = state.base && state.anchor
+    ? state.anchor.real_time_epoch_ms - state.base.real_time_epoch_ms
+    : 0;
+  const fit = state.fit;
+  const denom = fit ? fit.n * fit.sxx - fit.sx * fit.sx : 0;
+  const fittedPeriod = denom > 0 ? (fit.n * fit.sxy - fit.sx * fit.sy) / denom : NaN;
+  let period;
+  let source;
+  if (anchorSpanMs >= CLOCK_MIN_ANCHOR_SPAN_MS && clockPeriodValid(fittedPeriod)) {
+    period = fittedPeriod;
+    source = 'anchors';
+  } else if (state.dev_ms >= CLOCK_MIN_DEV_SPAN_MS) {
+    period = state.dev_ms / state.dev_samples;
+    source = 'device_clock';
+  } else {
+    period = model.period_ms;
+    source = model.source === 'default' ? 'default' : 'collar';
+  }
+  state.period_ms = Number(period.toFixed(4));
+  state.sample_rate_hz = Number((1000 / period).toFixed(3));
+  state.source = source;
+  state.anchor_span_ms = anchorSpanMs;
+  state.updated_at = new Date().toISOString();
+
+  // Most recently updated sessions only
+  const sessions = Object.entries({ ...model.sessions, [session_id]: state })
+    .sort(([, a], [, b]) => String(b.updated_at).localeCompare(String(a.updated_at)))
+    .slice(0, CLOCK_MAX_SESSIONS);
+
+  const next = {
+    start_sample: state.anchor && collarLevel ? state.anchor.start_sample : model.start_sample,
+    real_time_epoch_ms: state.anchor && collarLevel ? state.anchor.real_time_epoch_ms : model.real_time_epoch_ms,
+    period_ms: model.period_ms,
+    sample_rate_hz: model.sample_rate_hz,
+    source: model.source,
+    sessions: Object.fromEntries(sessions),
+    history: model.history
+  };
+  if (!collarLevel) {
+    return { model: next, clock: sessionClock(next, session_id) };
+  }
+  if (source !== 'collar' && source !== 'default') {
+    next.period_ms = state.period_ms;
+    next.sample_rate_hz = state.sample_rate_hz;
+    next.source = source;
+  }
+
+  const changed = !previous || previous.source !== source ||
+    Math.abs(state.period_ms - previous.period_ms) / previous.period_ms > CLOCK_HISTORY_MIN_CHANGE;
+  if (changed) {
+    next.history = [...model.history, {
+      at: state.updated_at,
+      session_id,
+      period_ms: state.period_ms,
+      sample_rate_hz: state.sample_rate_hz,
+      source
+    }].slice(-CLOCK_HISTORY_MAX);
+  }
+
+  return { model: next, clock: sessionClock(next, session_id) };
+}
+
 /* -----------------------------
    Map samples to timestamps
+   ts = anchor real_time + (sample_number - anchor start_sample) * period, with the chunk's
+   own anchor when it has real_time, else the clock's; timestamp_ms_dev without either.
    ----------------------------- */
-function mapSamplesToTimestamps(decoded, persistedMapping) {
-  const nominalPeriodMs = 10;
+function mapSamplesToTimestamps(decoded, clock) {
+  const periodMs = clock && clockPeriodValid(Number(clock.period_ms ?? clock.nominalPeriodMs))
+    ? Number(clock.period_ms ?? clock.nominalPeriodMs)
+    : CLOCK_DEFAULT_PERIOD_MS;
   let mapping = null;
   if (decoded.real_time && decoded.start_sample !== null) {
     const realEpoch = Date.parse(decoded.real_time);
@@ -602,16 +2027,18 @@ function mapSamplesToTimestamps(decoded, persistedMapping) {
       mapping = {
         start_sample: decoded.start_sample,
         real_time_epoch_ms: realEpoch,
-        nominalPeriodMs
+        period_ms: periodMs
       };
     }
   }
-  const useMapping = mapping || persistedMapping || null;
+  const clockAnchor = clock && clock.start_sample !== null && clock.start_sample !== undefined &&
+    clock.real_time_epoch_ms !== null && clock.real_time_epoch_ms !== undefined ? clock : null;
+  const useMapping = mapping || clockAnchor;
   const mapped = decoded.samples.map(s => {
     let ts;
     if (useMapping) {
       const dtSamples = s.sample_number - useMapping.start_sample;
-      ts = useMapping.real_time_epoch_ms + dtSamples * useMapping.nominalPeriodMs;
+      ts = useMapping.real_time_epoch_ms + dtSamples * periodMs;
     } else {
       ts = s.timestamp_ms_dev;
     }
@@ -629,6 +2056,376 @@ function mapSamplesToTimestamps(decoded, persistedMapping) {
   return { mapped, mapping };
 }
 
+/* -----------------------------
+   Activity classification (per second)
+   Heuristic labels from step cadence, StepCounter running/shake counters
+   and the variability of the acceleration magnitude.
+   ----------------------------- */
+const ACTIVITY_CLASSES = ['rest', 'walk', 'trot', 'run', 'shake'];
+const ACTIVITY_REST_INTENSITY = 0.5;   // std of |acc| (m/s²) below which a still second is rest
+const ACTIVITY_TROT_INTENSITY = 3.0;
+const ACTIVITY_RUN_INTENSITY = 6.0;
+const ACTIVITY_TROT_CADENCE_HZ = 2.5;  // steps per second
+const ACTIVITY_RUN_CADENCE_HZ = 3.5;
+const TIMELINE_SPAN_SLACK_S = 60;      // gaps a stored per-second timeline may span beyond its seconds with data
+
+function classifyActivitySecond({ cadence, intensity, running, shaking }) {
+  if (shaking) return 'shake';
+  if (running || cadence >= ACTIVITY_RUN_CADENCE_HZ || intensity >= ACTIVITY_RUN_INTENSITY) return 'run';
+  if (cadence >= ACTIVITY_TROT_CADENCE_HZ || intensity >= ACTIVITY_TROT_INTENSITY) return 'trot';
+  if (cadence > 0 || intensity >= ACTIVITY_REST_INTENSITY) return 'walk';
+  return 'rest';
+}
+
+/**
+ * Window [first, first + length) of a stored per-second timeline: at most the number of
+ * seconds with data plus TIMELINE_SPAN_SLACK_S long, placed where it covers the most of them,
+ * so a timestamp jump inside a chunk cannot blow up the dense arrays.
+ */
+function timelineWindow(secondsSorted) {
+  const maxSpan = secondsSorted.length + TIMELINE_SPAN_SLACK_S;
+  let best = { start: 0, count: 0 };
+  let start = 0;
+  for (let end = 0; end < secondsSorted.length; end++) {
+    while (secondsSorted[end] - secondsSorted[start] >= maxSpan) start++;
+    if (end - start + 1 > best.count) best = { start, count: end - start + 1 };
+  }
+  const first = secondsSorted[best.start];
+  return { first, length: secondsSorted[best.start + best.count - 1] - first + 1 };
+}
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+}
+
+/**
+ * Feed mapped samples to the counter one second at a time and label every second.
+ * Returns the two per-second timelines stored on the chunk (null without samples):
+ * - activity: { start_ts, interval_ms: 1000, labels: [...], steps: [...], seconds: { rest: n, ... } }
+ *   (labels[i] is null for seconds without samples)
+ * - motion: { start_ts, interval_ms: 1000, acc_std: [...], gyro_std: [...] } for rest/sleep detection
+ *   (null entries for seconds without samples)
+ * Both cover the same timelineWindow; seconds outside it are still counted but not stored,
+ * and activity.dropped_seconds says how many.
+ */
+function countStepsWithActivity(sc, mapped) {
+  const buckets = new Map();
+  for (const sample of mapped) {
+    const second = Math.floor(sample.ts / 1000);
+    if (!buckets.has(second)) buckets.set(second, []);
+    buckets.get(second).push(sample);
+  }
+
+  const perSecond = [];
+  for (const second of [...buckets.keys()].sort((a, b) => a - b)) {
+    const samples = buckets.get(second);
+    const before = { steps: sc.step_count, running: sc.running_steps, shake: sc.leg_shake_removed };
+    sc.processChunk(samples);
+
+    const intensity = stdDev(samples.map(s => Math.sqrt(s.ax * s.ax + s.ay * s.ay + s.az * s.az)));
+    const gyroStd = stdDev(samples.map(s => Math.sqrt(s.gx * s.gx + s.gy * s.gy + s.gz * s.gz)));
+
+    perSecond.push({
+      second,
+      steps: sc.step_count - before.steps,
+      intensity,
+      gyroStd,
+      running: sc.running_steps > before.running,
+      shaking: sc.leg_shake_removed > before.shake
+    });
+  }
+
+  if (perSecond.length === 0) return { activity: null, motion: null };
+
+  // Steps are emitted once per processing window, so smooth cadence over neighbouring seconds
+  const { first, length } = timelineWindow(perSecond.map(entry => entry.second));
+  const labels = new Array(length).fill(null);
+  const steps = new Array(length).fill(0);
+  const acc_std = new Array(length).fill(null);
+  const gyro_std = new Array(length).fill(null);
+  const seconds = Object.fromEntries(ACTIVITY_CLASSES.map(c => [c, 0]));
+  let dropped = 0;
+  perSecond.forEach((entry, i) => {
+    if (entry.second < first || entry.second >= first + length) {
+      dropped++;
+      return;
+    }
+    const neighbours = perSecond.slice(Math.max(0, i - 1), i + 2);
+    const cadence = neighbours.reduce((sum, n) => sum + n.steps, 0) / neighbours.length;
+    const label = classifyActivitySecond({ ...entry, cadence });
+    labels[entry.second - first] = label;
+    steps[entry.second - first] = entry.steps;
+    acc_std[entry.second - first] = Number(entry.intensity.toFixed(4));
+    gyro_std[entry.second - first] = Number(entry.gyroStd.toFixed(4));
+    seconds[label]++;
+  });
+
+  if (dropped > 0) {
+    console.warn(`Activity timeline: ${dropped} second(s) outside the chunk's time window were not labelled`);
+  }
+
+  const start_ts = new Date(first * 1000).toISOString();
+  return {
+    activity: {
+      start_ts,
+      interval_ms: 1000,
+      labels,
+      steps,
+      seconds,
+      ...(dropped > 0 ? { dropped_seconds: dropped } : {})
+    },
+    motion: { start_ts, interval_ms: 1000, acc_std, gyro_std }
+  };
+}
+
+/**
+ * Merge stored chunk timelines into one per-second session timeline and derive
+ * minutes per class, segments and transitions (a gap in data ends a segment).
+ */
+function summarizeActivityTimelines(timelines) {
+  const bySecond = new Map();
+  for (const timeline of timelines) {
+    if (!timeline || !Array.isArray(timeline.labels)) continue;
+    const first = Math.floor(Date.parse(timeline.start_ts) / 1000);
+    timeline.labels.forEach((label, i) => {
+      if (label) bySecond.set(first + i, label);
+    });
+  }
+
+  const secondsSorted = [...bySecond.keys()].sort((a, b) => a - b);
+  const seconds = Object.fromEntries(ACTIVITY_CLASSES.map(c => [c, 0]));
+  const segments = [];
+  for (const second of secondsSorted) {
+    const label = bySecond.get(second);
+    seconds[label] = (seconds[label] || 0) + 1;
+    const last = segments[segments.length - 1];
+    if (last && last.label === label && last.end_second === second) {
+      last.end_second = second + 1;
+    } else {
+      segments.push({ label, start_second: second, end_second: second + 1 });
+    }
+  }
+
+  const transitions = [];
+  const transition_counts = {};
+  for (let i = 1; i < segments.length; i++) {
+    const prev = segments[i - 1];
+    const cur = segments[i];
+    if (prev.end_second !== cur.start_second) continue;
+    const key = `${prev.label}->${cur.label}`;
+    transition_counts[key] = (transition_counts[key] || 0) + 1;
+    transitions.push({ from: prev.label, to: cur.label, at: new Date(cur.start_second * 1000).toISOString() });
+  }
+
+  const minutes = Object.fromEntries(Object.entries(seconds).map(([k, v]) => [k, v / 60]));
+  return {
+    seconds_classified: secondsSorted.length,
+    minutes,
+    active_minutes: (seconds.walk + seconds.trot + seconds.run) / 60,
+    segments: segments.map(s => ({
+      label: s.label,
+      start: new Date(s.start_second * 1000).toISOString(),
+      end: new Date(s.end_second * 1000).toISOString(),
+      duration_s: s.end_second - s.start_second
+    })),
+    transitions,
+    transition_counts
+  };
+}
+
+/* -----------------------------
+   Rest / sleep detection
+   Each chunk stores per-second motion levels; periods are built at query time
+   so they can span chunks and survive restarts. A second is still when its std of |acc|
+   is below ACTIVITY_REST_INTENSITY (the activity 'rest' threshold) and its gyro std below REST_GYRO_STD.
+   ----------------------------- */
+const REST_GYRO_STD = 5.0;             // std of |gyro| below which a second is still
+const SLEEP_ACC_STD = 0.1;             // "deep quiet" second, counted towards sleep
+const SLEEP_GYRO_STD = 1.0;
+const REST_MIN_DURATION_S = 120;       // shorter still stretches are pauses, not rest
+const REST_MAX_INTERRUPTION_S = 10;    // movement bouts up to this long do not end a period
+const REST_MAX_GAP_S = 60;             // missing data longer than this ends a period
+const SLEEP_MIN_DURATION_S = 20 * 60;
+const SLEEP_MIN_QUIET_FRACTION = 0.8;
+
+/**
+ * Merge chunk motion timelines and find rest / sleep periods.
+ * A period is a run of still seconds (brief movement bouts allowed) lasting at least
+ * REST_MIN_DURATION_S; it is sleep when long enough and mostly deep-quiet.
+ * restlessness = % of the period's seconds that were not deep-quiet.
+ */
+function detectRestPeriods(timelines) {
+  const bySecond = new Map();
+  for (const timeline of timelines) {
+    if (!timeline || !Array.isArray(timeline.acc_std)) continue;
+    const first = Math.floor(Date.parse(timeline.start_ts) / 1000);
+    timeline.acc_std.forEach((acc, i) => {
+      if (acc === null) return;
+      bySecond.set(first + i, { acc, gyro: timeline.gyro_std[i] || 0 });
+    });
+  }
+
+  const secondsSorted = [...bySecond.keys()].sort((a, b) => a - b);
+  const periods = [];
+  let current = null;
+  let movingSince = null;
+
+  const closePeriod = () => {
+    if (current && current.end - current.start >= REST_MIN_DURATION_S) periods.push(current);
+    current = null;
+    movingSince = null;
+  };
+
+  for (const second of secondsSorted) {
+    const { acc, gyro } = bySecond.get(second);
+    const still = acc < ACTIVITY_REST_INTENSITY && gyro < REST_GYRO_STD;
+    const quiet = acc < SLEEP_ACC_STD && gyro < SLEEP_GYRO_STD;
+
+    if (current && second - current.lastSecond > REST_MAX_GAP_S) closePeriod();
+
+    if (still) {
+      if (!current) {
+        current = { start: second, end: second + 1, lastSecond: second, quiet: 0, moving: 0, bouts: 0 };
+      }
+      if (movingSince !== null) {
+        // Movement bout ended within the allowed interruption
+        current.moving += second - movingSince;
+        current.bouts++;
+        movingSince = null;
+      }
+      if (quiet) current.quiet++;
+      current.end = second + 1;
+      current.lastSecond = second;
+    } else if (current) {
+      if (movingSince === null) movingSince = second;
+      if (second - movingSince + 1 > REST_MAX_INTERRUPTION_S) closePeriod();
+    }
+  }
+  closePeriod();
+
+  return periods.map(p => {
+    const duration_s = p.end - p.start;
+    const isSleep = duration_s >= SLEEP_MIN_DURATION_S && p.quiet / duration_s >= SLEEP_MIN_QUIET_FRACTION;
+    return {
+      type: isSleep ? 'sleep' : 'rest',
+      start: new Date(p.start * 1000).toISOString(),
+      end: new Date(p.end * 1000).toISOString(),
+      duration_s,
+      movement_bouts: p.bouts,
+      restlessness: Number((((duration_s - p.quiet) / duration_s) * 100).toFixed(1))
+    };
+  });
+}
+
+/* -----------------------------
+   Scratching / head-shake event detection
+   Half-second windows are labelled from gyro/acc oscillation, consecutive
+   windows of the same type become one event.
+   ----------------------------- */
+const EVENT_TYPES = ['scratch', 'head_shake'];
+const EVENT_WINDOW_MS = 500;
+const EVENT_MIN_FREQ_HZ = 3;              // oscillation band shared by scratching and head shakes
+const EVENT_MAX_FREQ_HZ = 10;
+const HEAD_SHAKE_GYRO_MIN = 250;          // mean |gyro| (deg/s) of a head-shake window
+const HEAD_SHAKE_MAX_DURATION_MS = 2500;
+const SCRATCH_ACC_STD_MIN = 1.5;          // std of |acc| (m/s²) of a scratching window
+const SCRATCH_MIN_DURATION_MS = 1500;
+const EVENT_MERGE_GAP_MS = 1000;          // same-type windows/events closer than this are one event
+
+// Dominant oscillation frequency from zero crossings of the mean-removed signal
+function dominantFrequencyHz(values, durationMs) {
+  if (values.length < 3 || durationMs <= 0) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  let crossings = 0;
+  for (let i = 1; i < values.length; i++) {
+    if ((values[i - 1] - mean) * (values[i] - mean) < 0) crossings++;
+  }
+  return crossings / 2 / (durationMs / 1000);
+}
+
+function classifyEventWindow(samples) {
+  const n = samples.length;
+  if (n < 3) return null;
+  const durationMs = ((samples[n - 1].ts - samples[0].ts) * n) / (n - 1);
+
+  const accMag = samples.map(s => Math.sqrt(s.ax * s.ax + s.ay * s.ay + s.az * s.az));
+  const gyroMag = samples.map(s => Math.sqrt(s.gx * s.gx + s.gy * s.gy + s.gz * s.gz));
+  const gyroMean = gyroMag.reduce((a, b) => a + b, 0) / n;
+  const peakGyro = Math.max(...gyroMag);
+  const accStd = stdDev(accMag);
+
+  // Head shakes rotate around the neck: use the gyro axis with the most variance
+  const axis = ['gx', 'gy', 'gz']
+    .map(k => samples.map(s => s[k]))
+    .reduce((best, values) => (stdDev(values) > stdDev(best) ? values : best));
+  const gyroHz = dominantFrequencyHz(axis, durationMs);
+  const accHz = dominantFrequencyHz(accMag, durationMs);
+  const inBand = hz => hz >= EVENT_MIN_FREQ_HZ && hz <= EVENT_MAX_FREQ_HZ;
+
+  if (gyroMean >= HEAD_SHAKE_GYRO_MIN && inBand(gyroHz)) {
+    return { type: 'head_shake', intensity: gyroMean, peak_gyro: peakGyro };
+  }
+  if (accStd >= SCRATCH_ACC_STD_MIN && inBand(accHz)) {
+    return { type: 'scratch', intensity: accStd, peak_gyro: peakGyro };
+  }
+  return null;
+}
+
+/**
+ * Detect scratch / head-shake events in mapped samples (ts in epoch ms).
+ * `valid` is false for events that fail the duration rule on their own; those
+ * are only kept if they extend an event that ended just before this chunk.
+ */
+function detectBehaviourEvents(mapped) {
+  if (mapped.length === 0) return [];
+
+  const windows = [];
+  let bucket = [];
+  let bucketStart = mapped[0].ts;
+  for (const s of mapped) {
+    if (s.ts - bucketStart >= EVENT_WINDOW_MS) {
+      windows.push(bucket);
+      bucket = [];
+      bucketStart = s.ts;
+    }
+    bucket.push(s);
+  }
+  if (bucket.length) windows.push(bucket);
+
+  const events = [];
+  for (const w of windows) {
+    const label = classifyEventWindow(w);
+    if (!label) continue;
+    const start = w[0].ts;
+    const end = w[w.length - 1].ts;
+    const last = events[events.length - 1];
+    if (last && last.type === label.type && start - last.end_ms <= EVENT_MERGE_GAP_MS) {
+      last.end_ms = end;
+      last.intensities.push(label.intensity);
+      last.peak_gyro = Math.max(last.peak_gyro, label.peak_gyro);
+    } else {
+      events.push({ type: label.type, start_ms: start, end_ms: end, intensities: [label.intensity], peak_gyro: label.peak_gyro });
+    }
+  }
+
+  return events.map(e => {
+    const duration_ms = Math.max(1, Math.round(e.end_ms - e.start_ms));
+    return {
+      type: e.type,
+      start_ms: e.start_ms,
+      end_ms: e.end_ms,
+      duration_ms,
+      intensity: Number((e.intensities.reduce((a, b) => a + b, 0) / e.intensities.length).toFixed(3)),
+      peak_gyro: Number(e.peak_gyro.toFixed(3)),
+      valid: e.type === 'head_shake'
+        ? duration_ms <= HEAD_SHAKE_MAX_DURATION_MS
+        : duration_ms >= SCRATCH_MIN_DURATION_MS
+    };
+  });
+}
+
 /* -----------------------------
    DB helpers: collars + chunks + output metric
    ----------------------------- */
@@ -677,486 +2474,4264 @@ async function upsertCollarCreateOnly(collarBody) {
   }
 }
 
-async function insertChunkRow(collar_id, session_id, decoded, summary, outputMetric) {
-  const client = await pool.connect();
-  try {
-    const q = `INSERT INTO collar_chunks (
-      collar_id, session_id, chunk_key, start_sample, num_samples, nominal_period_ms,
-      real_time_iso, temp_first_timestamp, temp_data,
-      raw_base64_json, raw_imu_base64, sensor_summary, output_metric, created_at
-    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,NOW()) RETURNING *;`;
+/**
+ * Identity of an uploaded chunk for retry detection: the collar's chunk_key, else the
+ * key it was sent under in `data` (e.g. chunk_00000001), plus its sample range.
+ * first_dev_ms tells a range apart from the same sample numbers after a collar reboot.
+ */
+function chunkIdentity(decoded, dataKey) {
+  const samples = decoded.samples;
+  return {
+    idempotency_key: decoded.chunk_key || dataKey || null,
+    first_sample_number: samples.length ? samples[0].sample_number : null,
+    last_sample_number: samples.length ? samples[samples.length - 1].sample_number : null,
+    num_samples: samples.length,
+    first_dev_ms: samples.length ? samples[0].timestamp_ms_dev : null
+  };
+}
 
-    const chunkKey =
-      decoded && decoded.samples.length
-        ? `chunk_${decoded.samples[0].sample_number}`
-        : `chunk_${Date.now()}`;
+// Stored chunk row (or another upload's identity) describes the same upload as `identity`
+function isSameChunk(row, identity) {
+  if (identity.num_samples === 0) {
+    return Number(row.num_samples) === 0 && row.idempotency_key === identity.idempotency_key;
+  }
+  return String(row.first_sample_number) === String(identity.first_sample_number) &&
+    String(row.last_sample_number) === String(identity.last_sample_number) &&
+    Number(row.num_samples) === identity.num_samples &&
+    String(row.first_dev_ms) === String(identity.first_dev_ms);
+}
 
-    const vals = [
-      collar_id,
-      session_id,
-      chunkKey,
-      decoded.start_sample,
-      decoded.samples.length,
-      10,
-      decoded.real_time,
-      decoded.temp_first_timestamp,
-      JSON.stringify(decoded.temp_data || []),
-      decoded.raw_base64_json,
-      decoded.raw_base64_json
-        ? JSON.parse(decoded.raw_base64_json).imu_data
-        : null,
-      JSON.stringify(summary || {}),
-      JSON.stringify(outputMetric || {})
-    ];
+/**
+ * Stored chunk this upload is a retry of, or null. A retry has the same sample range
+ * (first/last sample, count, first timestamp_ms_dev), or the same idempotency key when
+ * neither carries IMU samples. A key reused for different samples is logged and ingested.
+ * The unique indexes of migration 016 back this up for retries that race (see insertChunkRow).
+ */
+async function findDuplicateChunk(collar_id, session_id, identity, db = pool) {
+  if (!session_id) return null;
+  const { rows } = await db.query(
+    `SELECT id, session_id, output_metric, idempotency_key, first_sample_number, last_sample_number,
+            num_samples, first_dev_ms
+       FROM collar_chunks
+      WHERE collar_id = $1 AND session_id = $2
+        AND (idempotency_key = $3
+             OR (first_sample_number = $4 AND last_sample_number = $5 AND num_samples = $6 AND first_dev_ms = $7))
+      ORDER BY id ASC`,
+    [collar_id, session_id, identity.idempotency_key, identity.first_sample_number,
+     identity.last_sample_number, identity.num_samples, identity.first_dev_ms]
+  );
 
-    const r = await client.query(q, vals);
-    return r.rows[0];
-  } finally {
-    client.release();
+  const match = rows.find(row => isSameChunk(row, identity));
+  if (match) return match;
+
+  if (rows.length > 0) {
+    console.warn(`[Idempotency] ${collar_id}:${session_id} key ${identity.idempotency_key} reused for ` +
+                 `different samples (stored chunk ${rows[0].id}); ingesting as a new chunk`);
   }
+  return null;
 }
 
-async function updateCollarOutputMetric(collar_id, session_id, sessionMetric) {
-  const client = await pool.connect();
-  try {
-    await client.query(
-      `UPDATE collars
-         SET output_metric = jsonb_set(
-               jsonb_set(COALESCE(output_metric, '{}'::jsonb),
-                         ARRAY['sessions', $2], $3::jsonb, true),
-               ARRAY['last_session_id'], to_jsonb($2)),
-             updated_at = NOW()
-       WHERE collar_id = $1`,
-      [collar_id, session_id, JSON.stringify(sessionMetric)]
+// `db` is the pool or a client inside a transaction. Returns null when the chunk's identity
+// is already stored (a concurrent retry won the unique index)
+async function insertChunkRow(db, collar_id, session_id, decoded, summary, outputMetric, identity = {},
+                              periodMs = CLOCK_DEFAULT_PERIOD_MS) {
+  const q = `INSERT INTO collar_chunks (
+    collar_id, session_id, chunk_key, start_sample, num_samples, nominal_period_ms,
+    real_time_iso, temp_first_timestamp, temp_data,
+    raw_base64_json, raw_imu_base64, sensor_summary, output_metric,
+    idempotency_key, first_sample_number, last_sample_number, first_dev_ms, signature_key_id, created_at
+  ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,NOW())
+  ON CONFLICT DO NOTHING
+  RETURNING *;`;
+
+  const chunkKey =
+    decoded && decoded.samples.length
+      ? `chunk_${decoded.samples[0].sample_number}`
+      : `chunk_${Date.now()}`;
+
+  const vals = [
+    collar_id,
+    session_id,
+    chunkKey,
+    decoded.start_sample,
+    decoded.samples.length,
+    periodMs,
+    decoded.real_time,
+    decoded.temp_first_timestamp,
+    JSON.stringify(decoded.temp_data || []),
+    decoded.raw_base64_json,
+    decoded.raw_base64_json
+      ? JSON.parse(decoded.raw_base64_json).imu_data
+      : null,
+    JSON.stringify(summary || {}),
+    JSON.stringify(outputMetric || {}),
+    identity.idempotency_key ?? null,
+    identity.first_sample_number ?? null,
+    identity.last_sample_number ?? null,
+    identity.first_dev_ms ?? null,
+    identity.signature_key_id ?? null
+  ];
+
+  const r = await db.query(q, vals);
+  return r.rows[0] || null;
+}
+
+// jsonb_set only creates the last path element, so a collar without a `sessions` object gets one first
+async function updateCollarOutputMetric(db, collar_id, session_id, sessionMetric) {
+  await db.query(
+    `UPDATE collars
+       SET output_metric = jsonb_set(
+             jsonb_set(COALESCE(output_metric, '{}'::jsonb)
+                         || jsonb_build_object('sessions', COALESCE(output_metric->'sessions', '{}'::jsonb)),
+                       ARRAY['sessions', $2], $3::jsonb, true),
+             ARRAY['last_session_id'], to_jsonb($2)),
+           updated_at = NOW()
+     WHERE collar_id = $1`,
+    [collar_id, session_id, JSON.stringify(sessionMetric)]
+  );
+}
+
+/**
+ * Store detected behaviour events. An event starting within EVENT_MERGE_GAP_MS of the
+ * previous same-type event of the session extends it (events straddling chunks); a head
+ * shake extended past HEAD_SHAKE_MAX_DURATION_MS is deleted instead.
+ * Returns the number of events inserted or extended per type.
+ */
+async function storeCollarEvents(db, collar_id, session_id, chunk_id, events) {
+  const stored = Object.fromEntries(EVENT_TYPES.map(t => [t, 0]));
+
+  for (const e of events) {
+    const { rows: prev } = await db.query(
+      `SELECT id, start_time FROM collar_events
+        WHERE collar_id = $1 AND session_id = $2 AND type = $3
+          AND end_time <= $4 AND end_time >= $4::timestamptz - make_interval(secs => $5)
+        ORDER BY end_time DESC
+        LIMIT 1`,
+      [collar_id, session_id, e.type, new Date(e.start_ms).toISOString(), EVENT_MERGE_GAP_MS / 1000]
     );
-  } finally {
-    client.release();
+
+    if (prev.length) {
+      if (e.type === 'head_shake' && e.end_ms - new Date(prev[0].start_time).getTime() > HEAD_SHAKE_MAX_DURATION_MS) {
+        await db.query('DELETE FROM collar_events WHERE id = $1', [prev[0].id]);
+        continue;
+      }
+      await db.query(
+        `UPDATE collar_events
+            SET end_time = $2,
+                duration_ms = ROUND(EXTRACT(EPOCH FROM ($2::timestamptz - start_time)) * 1000),
+                intensity = (intensity * duration_ms + $3::double precision * $4::int) / (duration_ms + $4::int),
+                peak_gyro = GREATEST(peak_gyro, $5)
+          WHERE id = $1`,
+        [prev[0].id, new Date(e.end_ms).toISOString(), e.intensity, e.duration_ms, e.peak_gyro]
+      );
+      stored[e.type]++;
+      continue;
+    }
+
+    if (!e.valid) continue;
+
+    await db.query(
+      `INSERT INTO collar_events
+         (collar_id, session_id, chunk_id, type, start_time, end_time, duration_ms, intensity, peak_gyro, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW())`,
+      [collar_id, session_id, chunk_id, e.type, new Date(e.start_ms).toISOString(),
+       new Date(e.end_ms).toISOString(), e.duration_ms, e.intensity, e.peak_gyro]
+    );
+    stored[e.type]++;
   }
+  return stored;
+}
+
+// Step block of a session on the collar; only a live session becomes the collar's last_session_id
+async function writeSessionOutputMetric(db, collar_id, session_id, sessionMetric, { liveSession = true } = {}) {
+  if (liveSession) return updateCollarOutputMetric(db, collar_id, session_id, sessionMetric);
+  return mergeCollarSessionMetric(db, collar_id, session_id, sessionMetric);
+}
+
+// Merge fields into collars.output_metric.sessions[session_id] without dropping the rest of the block
+async function mergeCollarSessionMetric(client, collar_id, session_id, patch) {
+  await client.query(
+    `UPDATE collars
+       SET output_metric = jsonb_set(
+             COALESCE(output_metric, '{}'::jsonb)
+               || jsonb_build_object('sessions', COALESCE(output_metric->'sessions', '{}'::jsonb)),
+             ARRAY['sessions', $2::text],
+             COALESCE(output_metric->'sessions'->$2::text, '{}'::jsonb) || $3::jsonb,
+             true),
+           updated_at = NOW()
+     WHERE collar_id = $1`,
+    [collar_id, session_id, JSON.stringify(patch)]
+  );
 }
 
 /* -----------------------------
-   Routes
+   Data continuity (sample_number gaps / overlaps / resets, clock drift)
+   Each chunk's samples are split into runs of consecutive sample numbers and
+   compared against the session's continuity state. A reset (collar reboot)
+   starts a new segment; coverage and gaps are computed per segment.
    ----------------------------- */
+const CONTINUITY_EVENT_TYPES = ['gap', 'overlap', 'late', 'too_late', 'reset', 'drift'];
+const CONTINUITY_RESET_MAX_START_SAMPLE = 1000; // without real_time, a restart must begin near sample 0
+const CONTINUITY_DRIFT_MAX_MS = 1000; // |mapped time - device clock| beyond this is flagged
 
 /**
- * POST /collars
- * Create collar if missing. If body.new_session === true, create & activate session and return session_id.
+ * Split mapped samples into runs of consecutive sample_numbers (start_index..end_index into mapped).
+ * A backwards step inside the chunk marks the following run as starting after a reset;
+ * repeated sample numbers are skipped.
  */
-app.post('/collars', async (req, res) => {
-  try {
-    const body = req.body;
-    if (!body || !body.collar_id) {
-      return res.status(400).json({ error: 'collar_id required' });
+function sampleRuns(mapped, samples) {
+  const runs = [];
+  let run = null;
+  mapped.forEach((s, i) => {
+    const dev = samples[i].timestamp_ms_dev;
+    if (run && s.sample_number === run.last + 1) {
+      run.last = s.sample_number;
+      run.last_dev_ms = dev;
+      run.last_ts = s.ts;
+      run.end_index = i;
+      return;
     }
+    if (run && s.sample_number === run.last) return;
+    run = {
+      start_index: i,
+      end_index: i,
+      first: s.sample_number,
+      last: s.sample_number,
+      first_dev_ms: dev,
+      last_dev_ms: dev,
+      first_ts: s.ts,
+      last_ts: s.ts,
+      reset_before: Boolean(run) && s.sample_number < run.last
+    };
+    runs.push(run);
+  });
+  return runs;
+}
 
-    // ⭐ Create new session when user explicitly asks
-    if (body.new_session === true || body.new_session === "true" || body.new_session === 1) {
-      // FIRST: Update collar with new dog details
-      const collar = await upsertCollarCreateOnly(body);
+// Counters went backwards: a reboot if the device clock also restarted and, when the chunk
+// carries its own real_time, wall time moved forward (otherwise it is late data)
+function looksLikeSampleReset(state, run, hasRealTime) {
+  if (state.last_dev_ms === null || run.first_dev_ms >= Number(state.last_dev_ms)) return false;
+  if (hasRealTime && state.last_ts_ms !== null) return run.first_ts > Number(state.last_ts_ms);
+  return run.first < CONTINUITY_RESET_MAX_START_SAMPLE;
+}
 
-      // THEN: Capture dog details as snapshot for this session
-      const dogMetadata = {
-        dog_name: collar.dog_name,
-        breed: collar.breed,
-        age: collar.age,
-        height: collar.height,
-        weight: collar.weight,
-        sex: collar.sex,
-        coat_type: collar.coat_type,
-        temperature_irgun: collar.temperature_irgun,
-        collar_orientation: collar.collar_orientation,
-        medical_info: collar.medical_info,
-        remarks: collar.remarks
+// Merge [first, last] ranges (sorted by first) into disjoint ranges
+function mergeSampleRanges(ranges) {
+  const merged = [];
+  for (const r of ranges) {
+    const prev = merged[merged.length - 1];
+    if (prev && r.first <= prev.last + 1) {
+      prev.last = Math.max(prev.last, r.last);
+    } else {
+      merged.push({ first: r.first, last: r.last });
+    }
+  }
+  return merged;
+}
+
+// Number of samples in [lo, hi] covered by merged ranges
+function rangeOverlap(merged, lo, hi) {
+  return merged.reduce((sum, r) => sum + Math.max(0, Math.min(r.last, hi) - Math.max(r.first, lo) + 1), 0);
+}
+
+/**
+ * Record a stored chunk's sample ranges and detect gaps, overlaps, late data, resets
+ * and drift between the real_time mapping and timestamp_ms_dev. Late samples at or below
+ * countedThrough (the step counter's watermark before this chunk) could not be counted
+ * and are flagged as too_late. Runs on the caller's transaction client, which holds the
+ * session's continuity row. Returns a per-chunk summary.
+ */
+async function recordChunkContinuity(client, collar_id, session_id, chunk_id, decoded, mapped, mapping, countedThrough = null) {
+  const runs = sampleRuns(mapped, decoded.samples);
+  const summary = {
+    segment: null,
+    gaps: 0,
+    missing_samples: 0,
+    overlap_samples: 0,
+    late_samples: 0,
+    too_late_samples: 0,
+    resets: 0,
+    drift_ms: null
+  };
+  if (runs.length === 0) return summary;
+
+  const events = [];
+  await client.query(
+    `INSERT INTO session_continuity (collar_id, session_id) VALUES ($1, $2)
+     ON CONFLICT (collar_id, session_id) DO NOTHING`,
+    [collar_id, session_id]
+  );
+  const { rows } = await client.query(
+    'SELECT * FROM session_continuity WHERE collar_id = $1 AND session_id = $2 FOR UPDATE',
+    [collar_id, session_id]
+  );
+  const state = rows[0];
+  const segments = state.segments || [];
+  const addEvent = (type, fields) => events.push({ type, segment: state.segment, ...fields });
+
+  for (const run of runs) {
+    const lastSample = state.last_sample === null ? null : Number(state.last_sample);
+    if (lastSample !== null && run.first <= lastSample &&
+        (run.reset_before || looksLikeSampleReset(state, run, Boolean(mapping)))) {
+      state.segment += 1;
+      addEvent('reset', {
+        start_sample: run.first,
+        end_sample: null,
+        sample_count: null,
+        detail: { previous_last_sample: lastSample, in_chunk: run.reset_before }
+      });
+      summary.resets++;
+      countedThrough = null;
+      state.last_sample = null;
+      state.last_dev_ms = null;
+      state.last_ts_ms = null;
+      state.drift_flagged = false;
+    }
+
+    let anchor = segments.find(s => s.segment === state.segment);
+    if (!anchor) {
+      anchor = {
+        segment: state.segment,
+        anchor_sample: run.first,
+        anchor_dev_ms: run.first_dev_ms,
+        anchor_ts_ms: run.first_ts,
+        period_ms: mapping ? mapping.period_ms : null,
+        started_at: new Date().toISOString()
       };
+      segments.push(anchor);
+    }
 
-      // Create new session with updated dog metadata snapshot
-      const session_id = await generateAndInsertSession(body.collar_id, 'user_request', dogMetadata);
-      return res.json({
-        ok: true,
-        collar,
-        session_id,
-        message: 'Dog details updated and new session created with snapshot.'
+    const currentLast = state.last_sample === null ? null : Number(state.last_sample);
+    if (currentLast !== null && run.first > currentLast + 1) {
+      addEvent('gap', {
+        start_sample: currentLast + 1,
+        end_sample: run.first - 1,
+        sample_count: run.first - currentLast - 1,
+        detail: {}
+      });
+      summary.gaps++;
+      summary.missing_samples += run.first - currentLast - 1;
+    } else if (currentLast !== null && run.first <= currentLast) {
+      // Data at or below the highest sample so far: duplicates and/or a late fill of an earlier gap
+      const { rows: existing } = await client.query(
+        `SELECT first_sample, last_sample FROM session_sample_ranges
+          WHERE collar_id = $1 AND session_id = $2 AND segment = $3
+            AND first_sample <= $5 AND last_sample >= $4
+          ORDER BY first_sample ASC`,
+        [collar_id, session_id, state.segment, run.first, run.last]
+      );
+      const received = mergeSampleRanges(existing.map(r => ({ first: Number(r.first_sample), last: Number(r.last_sample) })));
+      const overlap = rangeOverlap(received, run.first, run.last);
+      const belowLast = Math.min(run.last, currentLast) - run.first + 1;
+      if (overlap > 0) {
+        addEvent('overlap', { start_sample: run.first, end_sample: run.last, sample_count: overlap, detail: {} });
+        summary.overlap_samples += overlap;
+      }
+      // Samples below the previous maximum not yet received (ranges above it count as new data)
+      const lateCount = belowLast - Math.min(overlap, belowLast);
+      if (lateCount > 0) {
+        addEvent('late', {
+          start_sample: run.first,
+          end_sample: Math.min(run.last, currentLast),
+          sample_count: lateCount,
+          detail: { previous_last_sample: currentLast }
+        });
+        summary.late_samples += lateCount;
+      }
+      // New samples the reorder window had already moved past: stored, but not step-counted
+      if (countedThrough !== null && run.first <= countedThrough) {
+        const hi = Math.min(run.last, countedThrough);
+        const tooLate = hi - run.first + 1 - rangeOverlap(received, run.first, hi);
+        if (tooLate > 0) {
+          addEvent('too_late', {
+            start_sample: run.first,
+            end_sample: hi,
+            sample_count: tooLate,
+            detail: { counted_through: countedThrough }
+          });
+          summary.too_late_samples += tooLate;
+        }
+      }
+    }
+
+    await client.query(
+      `INSERT INTO session_sample_ranges (collar_id, session_id, chunk_id, segment, first_sample, last_sample, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,NOW())`,
+      [collar_id, session_id, chunk_id, state.segment, run.first, run.last]
+    );
+
+    if (currentLast === null || run.last > currentLast) {
+      state.last_sample = run.last;
+      state.last_dev_ms = run.last_dev_ms;
+      state.last_ts_ms = run.last_ts;
+    }
+
+    // Drift: mapped timestamp vs the device clock's elapsed time since the segment anchor
+    const drift = run.last_ts - (anchor.anchor_ts_ms + (run.last_dev_ms - anchor.anchor_dev_ms));
+    state.drift_ms = drift;
+    summary.drift_ms = drift;
+    if (Math.abs(drift) > CONTINUITY_DRIFT_MAX_MS && !state.drift_flagged) {
+      addEvent('drift', {
+        start_sample: run.last,
+        end_sample: run.last,
+        sample_count: null,
+        detail: { drift_ms: drift, anchor_sample: anchor.anchor_sample }
+      });
+      state.drift_flagged = true;
+    } else if (Math.abs(drift) <= CONTINUITY_DRIFT_MAX_MS) {
+      state.drift_flagged = false;
+    }
+  }
+
+  for (const e of events) {
+    await client.query(
+      `INSERT INTO session_continuity_events
+         (collar_id, session_id, chunk_id, type, segment, start_sample, end_sample, sample_count, detail, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW())`,
+      [collar_id, session_id, chunk_id, e.type, e.segment, e.start_sample, e.end_sample, e.sample_count,
+       JSON.stringify(e.detail)]
+    );
+  }
+
+  await client.query(
+    `UPDATE session_continuity
+        SET segment = $3, last_sample = $4, last_dev_ms = $5, last_ts_ms = $6, drift_ms = $7,
+            drift_flagged = $8, segments = $9, updated_at = NOW()
+      WHERE collar_id = $1 AND session_id = $2`,
+    [collar_id, session_id, state.segment, state.last_sample, state.last_dev_ms, state.last_ts_ms,
+     state.drift_ms, state.drift_flagged, JSON.stringify(segments)]
+  );
+  summary.segment = state.segment;
+
+  for (const e of events.filter(ev => ev.type !== 'overlap')) {
+    console.log(`[Continuity] ${collar_id}:${session_id} ${e.type} segment=${e.segment} ` +
+                `samples=${e.start_sample}..${e.end_sample ?? ''}`);
+  }
+  return summary;
+}
+
+/**
+ * Coverage per segment from the stored ranges: expected = highest - lowest sample + 1,
+ * gaps are the holes between merged ranges, timed with the segment's anchor.
+ */
+function summarizeContinuity(rangeRows, segments) {
+  const bySegment = new Map();
+  for (const r of rangeRows) {
+    const seg = Number(r.segment);
+    if (!bySegment.has(seg)) bySegment.set(seg, []);
+    bySegment.get(seg).push({ first: Number(r.first_sample), last: Number(r.last_sample) });
+  }
+
+  const segmentSummaries = [];
+  const gaps = [];
+  let received = 0;
+  let expected = 0;
+  for (const [segment, ranges] of [...bySegment.entries()].sort((a, b) => a[0] - b[0])) {
+    const merged = mergeSampleRanges(ranges.sort((a, b) => a.first - b.first));
+    const anchor = segments.find(s => s.segment === segment);
+    const sampleTs = sample => (anchor && anchor.period_ms
+      ? new Date(anchor.anchor_ts_ms + (sample - anchor.anchor_sample) * anchor.period_ms).toISOString()
+      : null);
+    const segReceived = merged.reduce((sum, r) => sum + r.last - r.first + 1, 0);
+    const segExpected = merged[merged.length - 1].last - merged[0].first + 1;
+    for (let i = 1; i < merged.length; i++) {
+      const start = merged[i - 1].last + 1;
+      const end = merged[i].first - 1;
+      gaps.push({
+        segment,
+        start_sample: start,
+        end_sample: end,
+        missing_samples: end - start + 1,
+        start_ts: sampleTs(start),
+        end_ts: sampleTs(end + 1),
+        duration_ms: anchor && anchor.period_ms ? (end - start + 1) * anchor.period_ms : null
       });
     }
+    received += segReceived;
+    expected += segExpected;
+    segmentSummaries.push({
+      segment,
+      first_sample: merged[0].first,
+      last_sample: merged[merged.length - 1].last,
+      received_samples: segReceived,
+      expected_samples: segExpected,
+      coverage_pct: Number(((segReceived / segExpected) * 100).toFixed(2)),
+      started_at: anchor ? anchor.started_at : null
+    });
+  }
+
+  return {
+    coverage_pct: expected ? Number(((received / expected) * 100).toFixed(2)) : null,
+    received_samples: received,
+    expected_samples: expected,
+    segments: segmentSummaries,
+    gaps
+  };
+}
+
+/* -----------------------------
+   Reorder window (out-of-order chunks)
+   Samples are held per session and fed to the step counter in sample_number order
+   once they are reorder_horizon_samples behind the newest sample received. After a
+   cache miss the held samples are re-read from stored chunks via session_sample_ranges.
+   ----------------------------- */
+const reorderBufferBySession = new Map();
+
+// Remove and return held samples up to `through` (ascending); advances the watermark
+function drainReorderBuffer(buffer, through = Infinity) {
+  if (through === null) return [];
+  const out = [...buffer.samples.values()]
+    .filter(s => s.sample_number <= through)
+    .sort((a, b) => a.sample_number - b.sample_number);
+  for (const s of out) buffer.samples.delete(s.sample_number);
+  if (out.length) buffer.watermark = out[out.length - 1].sample_number;
+  return out;
+}
+
+/**
+ * Add a chunk's mapped samples to the buffer. Returns { release, belowWatermark, reset }:
+ * release are the samples to feed now (ascending), belowWatermark counts samples at or below
+ * what was already fed (retries, or data older than the horizon) which are not fed.
+ * A reset (looksLikeSampleReset) releases everything held and restarts the window.
+ */
+function admitToReorderBuffer(buffer, mapped, samples, hasRealTime) {
+  const release = [];
+  let belowWatermark = 0;
+  let reset = false;
+
+  for (const run of sampleRuns(mapped, samples)) {
+    const newest = buffer.newest;
+    if (newest && run.first <= newest.sample &&
+        (run.reset_before || looksLikeSampleReset({ last_dev_ms: newest.dev_ms, last_ts_ms: newest.ts }, run, hasRealTime))) {
+      release.push(...drainReorderBuffer(buffer));
+      buffer.segment += 1;
+      buffer.watermark = null;
+      buffer.newest = null;
+      reset = true;
+    }
+
+    for (let i = run.start_index; i <= run.end_index; i++) {
+      const s = mapped[i];
+      if (buffer.watermark !== null && s.sample_number <= buffer.watermark) {
+        belowWatermark++;
+        continue;
+      }
+      buffer.samples.set(s.sample_number, s);
+    }
+
+    if (!buffer.newest || run.last > buffer.newest.sample) {
+      buffer.newest = { sample: run.last, dev_ms: run.last_dev_ms, ts: run.last_ts };
+    }
+  }
+
+  release.push(...drainReorderBuffer(buffer, buffer.newest ? buffer.newest.sample - buffer.horizon : null));
+  return { release, belowWatermark, reset };
+}
+
+/**
+ * Reorder buffer for a session; `watermark` is the last sample fed to the step counter
+ * (getLastProcessedSampleNumber). On a cache miss the newest sample comes from the
+ * continuity state and the held samples are decoded again from their stored chunks.
+ */
+async function getOrInitReorderBuffer(collar, session_id, watermark) {
+  const key = `${collar.collar_id}:${session_id}`;
+  if (reorderBufferBySession.has(key)) return reorderBufferBySession.get(key);
+
+  const params = await getStepCounterParams(collar.collar_id, session_id);
+  const { rows: stateRows } = await pool.query(
+    `SELECT segment, last_sample, last_dev_ms, last_ts_ms FROM session_continuity
+      WHERE collar_id = $1 AND session_id = $2`,
+    [collar.collar_id, session_id]
+  );
+  const { rows: lastRows } = await pool.query(
+    `SELECT output_metric->'reorder'->>'segment' AS segment FROM collar_chunks
+      WHERE collar_id = $1 AND session_id = $2
+      ORDER BY id DESC
+      LIMIT 1`,
+    [collar.collar_id, session_id]
+  );
+  const state = stateRows[0] || null;
+  const segment = state ? Number(state.segment) : 0;
+  const storedSegment = lastRows.length && lastRows[0].segment !== null ? Number(lastRows[0].segment) : 0;
+
+  const buffer = {
+    horizon: Number(params.reorder_horizon_samples ?? STEP_COUNTER_PARAM_DEFAULTS.reorder_horizon_samples),
+    segment,
+    // The watermark belongs to an earlier segment if a reset was seen after it was stored
+    watermark: watermark !== null && storedSegment === segment ? Number(watermark) : null,
+    newest: state && state.last_sample !== null
+      ? { sample: Number(state.last_sample), dev_ms: Number(state.last_dev_ms), ts: Number(state.last_ts_ms) }
+      : null,
+    samples: new Map()
+  };
+
+  if (buffer.newest && (buffer.watermark === null || buffer.newest.sample > buffer.watermark)) {
+    const from = buffer.watermark === null ? -1 : buffer.watermark;
+    const { rows: ranges } = await pool.query(
+      `SELECT r.chunk_id, r.first_sample, r.last_sample
+         FROM session_sample_ranges r
+        WHERE r.collar_id = $1 AND r.session_id = $2 AND r.segment = $3 AND r.last_sample > $4
+        ORDER BY r.first_sample ASC`,
+      [collar.collar_id, session_id, segment, from]
+    );
+    const chunkIds = [...new Set(ranges.map(r => r.chunk_id))];
+    const { rows: chunkRows } = chunkIds.length
+      ? await pool.query('SELECT * FROM collar_chunks WHERE id = ANY($1::bigint[])', [chunkIds])
+      : { rows: [] };
+    const mappedByChunk = new Map(chunkRows.map(row => {
+      const decoded = decodeChunkJson(storedChunkToJson(row), { strict: false });
+      return [String(row.id), mapSamplesToTimestamps(decoded, sessionClock(collar.mapping_json, session_id)).mapped];
+    }));
+    for (const r of ranges) {
+      const lo = Math.max(Number(r.first_sample), from + 1);
+      const hi = Number(r.last_sample);
+      for (const s of mappedByChunk.get(String(r.chunk_id)) || []) {
+        if (s.sample_number >= lo && s.sample_number <= hi) buffer.samples.set(s.sample_number, s);
+      }
+    }
+    console.log(`[DB Recovery] Rebuilt reorder buffer for ${key}: ${buffer.samples.size} held samples`);
+  }
+
+  reorderBufferBySession.set(key, buffer);
+  return buffer;
+}
+
+/**
+ * Feed every held sample to the step counter (session ended or went idle). The steps are
+ * added to the session's latest chunk row, since no new chunk will release them.
+ * liveSession as in ingestChunk.
+ */
+async function flushReorderBuffer(collar_id, session_id, { liveSession = true } = {}) {
+  const key = `${collar_id}:${session_id}`;
+  const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [collar_id]);
+  if (collarRows.length === 0) return null;
+  const buffer = reorderBufferBySession.get(key)
+    || await getOrInitReorderBuffer(collarRows[0], session_id, await getLastProcessedSampleNumber(collar_id, session_id));
+  if (buffer.samples.size === 0) return null;
+
+  const sc = await getOrInitStepCounter(collar_id, session_id);
+  // The held samples and the counter go back if the write below fails
+  const restoreMemory = snapshotSessionMemory(collarRows[0], session_id);
+  const release = drainReorderBuffer(buffer);
+  const before = { steps: sc.step_count, walking: sc.walking_steps, running: sc.running_steps, shake: sc.leg_shake_removed };
+  sc.processChunk(release);
+  const steps = sc.step_count - before.steps;
+  const walking = sc.walking_steps - before.walking;
+  const running = sc.running_steps - before.running;
+  const shake = sc.leg_shake_removed - before.shake;
+  lastSampleNumberBySession.set(key, buffer.watermark);
+
+  const client = await pool.connect();
+  let chunkId = null;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT id, output_metric FROM collar_chunks
+        WHERE collar_id = $1 AND session_id = $2
+        ORDER BY id DESC
+        LIMIT 1
+        FOR UPDATE`,
+      [collar_id, session_id]
+    );
+    if (rows.length) {
+      const m = rows[0].output_metric || {};
+      const stepsInChunk = (Number(m.steps_in_chunk) || 0) + steps;
+      const runningInChunk = (Number(m.running_steps_in_chunk) || 0) + running;
+      await client.query(
+        'UPDATE collar_chunks SET output_metric = output_metric || $2::jsonb WHERE id = $1',
+        [rows[0].id, JSON.stringify({
+          steps_in_chunk: stepsInChunk,
+          walking_steps_in_chunk: (Number(m.walking_steps_in_chunk) || 0) + walking,
+          running_steps_in_chunk: runningInChunk,
+          leg_shake_removed_in_chunk: (Number(m.leg_shake_removed_in_chunk) || 0) + shake,
+          cumulative_steps: sc.step_count,
+          cumulative_running_steps: sc.running_steps,
+          cumulative_leg_shake_removed: sc.leg_shake_removed,
+          samples_processed: (Number(m.samples_processed) || 0) + release.length,
+          last_sample_number: buffer.watermark,
+          reorder: { ...(m.reorder || {}), held_samples: 0, flushed_samples: release.length }
+        })]
+      );
+      chunkId = rows[0].id;
+    }
+    await saveStepCounterState(client, collar_id, session_id, sc, buffer.watermark);
+    await writeSessionOutputMetric(client, collar_id, session_id, {
+      ...sessionStepMetric(sc),
+      last_chunk_id: chunkId,
+      last_sample_number: buffer.watermark,
+      last_update: new Date().toISOString()
+    }, { liveSession });
+    await client.query('COMMIT');
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    restoreMemory();
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  console.log(`[Reorder] Flushed ${release.length} held samples for ${key} (+${steps} steps)`);
+  return { flushed_samples: release.length, steps };
+}
+
+/* -----------------------------
+   Skin-to-core temperature calibration
+   core_c = gain * skin_c + offset_c, fitted from manual core references (IR gun)
+   paired with the skin readings taken around the same time.
+   ----------------------------- */
+const TEMP_READING_INTERVAL_MS = 1000; // temp_data is sampled once per second
+const CALIBRATION_PAIR_WINDOW_S = 60; // skin readings within ±60 s of a reference are averaged
+const CALIBRATION_MAX_CHUNK_SPAN_S = 3600; // look-back when searching chunks covering a reference
+const CALIBRATION_MIN_SKIN_SPREAD_C = 0.5; // below this the gain is not identifiable -> offset only
+const CALIBRATION_GAIN_RANGE = [0.5, 1.5];
+const CALIBRATION_MAX_COLLAR_SESSIONS = 50;
+// Prior skin-to-core offset by coat type, used until a reference exists (thicker coat = larger gap)
+const COAT_TYPE_CORE_OFFSET_C = {
+  hairless: 5.0,
+  short: 8.0,
+  medium: 9.0,
+  wire: 9.0,
+  long: 10.0,
+  double: 10.5
+};
+const DEFAULT_COAT_CORE_OFFSET_C = 9.0;
+
+// Calibration model per session, cleared with the other caches and when a reference is posted
+const calibrationBySession = new Map();
+
+// Expand a chunk's temp_data into timestamped readings
+function expandTemperatureReadings(temp_data, temp_first_timestamp) {
+  const t0 = temp_first_timestamp ? new Date(temp_first_timestamp).getTime() : NaN;
+  if (Number.isNaN(t0) || !Array.isArray(temp_data)) return [];
+  return temp_data
+    .map((temp_c, index) => ({ ts: t0 + index * TEMP_READING_INTERVAL_MS, temp_c: Number(temp_c), index }))
+    .filter(r => Number.isFinite(r.temp_c));
+}
+
+function normalizeCoatType(coatType) {
+  return typeof coatType === 'string' && coatType.trim() ? coatType.trim().toLowerCase() : null;
+}
+
+function meanOf(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : NaN;
+}
+
+function roundTemp(value) {
+  return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Fit core = gain * skin + offset from pairs ([{ skin_c, core_c }]).
+ * Least squares when the skin readings spread enough and the gain is plausible,
+ * otherwise gain 1 with the mean offset; no pairs -> coat-type prior.
+ */
+function fitCalibrationModel(pairs, coatType, source) {
+  const coat = normalizeCoatType(coatType);
+  if (pairs.length === 0) {
+    return {
+      source: 'coat_prior',
+      coat_type: coat,
+      gain: 1,
+      offset_c: COAT_TYPE_CORE_OFFSET_C[coat] ?? DEFAULT_COAT_CORE_OFFSET_C,
+      pairs: 0,
+      rmse_c: null,
+      reference_core_c: null
+    };
+  }
+
+  const skins = pairs.map(p => p.skin_c);
+  const cores = pairs.map(p => p.core_c);
+  const skinMean = meanOf(skins);
+  const coreMean = meanOf(cores);
+  let gain = 1;
+  let offset = coreMean - skinMean;
+
+  if (pairs.length >= 2 && Math.max(...skins) - Math.min(...skins) >= CALIBRATION_MIN_SKIN_SPREAD_C) {
+    let sxy = 0;
+    let sxx = 0;
+    for (const p of pairs) {
+      sxy += (p.skin_c - skinMean) * (p.core_c - coreMean);
+      sxx += (p.skin_c - skinMean) ** 2;
+    }
+    const fitted = sxy / sxx;
+    if (fitted >= CALIBRATION_GAIN_RANGE[0] && fitted <= CALIBRATION_GAIN_RANGE[1]) {
+      gain = fitted;
+      offset = coreMean - gain * skinMean;
+    }
+  }
+
+  const residuals = pairs.map(p => p.core_c - (gain * p.skin_c + offset));
+  return {
+    source,
+    coat_type: coat,
+    gain,
+    offset_c: offset,
+    pairs: pairs.length,
+    rmse_c: pairs.length >= 2 ? Math.sqrt(meanOf(residuals.map(r => r * r))) : null,
+    reference_core_c: pairs[pairs.length - 1].core_c
+  };
+}
+
+function estimateCoreTemperature(model, skinC) {
+  return model.gain * skinC + model.offset_c;
+}
+
+/**
+ * Paired readings per session (Map session_id -> { pairs, complete }): the dog_metadata
+ * temperature_irgun (taken at session start, paired with the first chunk's mean skin
+ * temperature) plus every posted reference paired with skin readings within
+ * CALIBRATION_PAIR_WINDOW_S. Three queries whatever the number of sessions and references.
+ * pendingTemps (Map session_id -> temp_data) stands in for a first chunk still being ingested.
+ * complete is false while the session-start reference has nothing to pair with yet.
+ */
+async function loadCalibrationPairsBySession(collar_id, sessions, pendingTemps = new Map()) {
+  const result = new Map(sessions.map(s => [s.session_id, { pairs: [], complete: true }]));
+  if (sessions.length === 0) return result;
+  const sessionIds = sessions.map(s => s.session_id);
+
+  const irgunOf = s => {
+    const raw = s.dog_metadata?.temperature_irgun;
+    return raw === null || raw === undefined ? NaN : Number(raw);
+  };
+  const withIrgun = sessions.filter(s => Number.isFinite(irgunOf(s)));
+  if (withIrgun.length > 0) {
+    const { rows: firstRows } = await pool.query(
+      `SELECT DISTINCT ON (session_id) session_id, temp_data FROM collar_chunks
+        WHERE collar_id = $1 AND session_id = ANY($2::text[]) AND jsonb_array_length(temp_data) > 0
+        ORDER BY session_id, id ASC`,
+      [collar_id, withIrgun.map(s => s.session_id)]
+    );
+    const firstTemps = new Map(firstRows.map(r => [r.session_id, r.temp_data]));
+    for (const session of withIrgun) {
+      const temps = firstTemps.get(session.session_id) || pendingTemps.get(session.session_id);
+      const skin = meanOf((temps || []).map(Number).filter(Number.isFinite));
+      const entry = result.get(session.session_id);
+      if (Number.isFinite(skin)) {
+        entry.pairs.push({ source: 'session_start', measured_at: session.created_at, core_c: irgunOf(session), skin_c: skin });
+      } else {
+        entry.complete = false;
+      }
+    }
+  }
+
+  const { rows: refs } = await pool.query(
+    `SELECT id, session_id, core_temp_c, measured_at, source FROM temperature_references
+      WHERE collar_id = $1 AND session_id = ANY($2::text[])
+      ORDER BY measured_at ASC, id ASC`,
+    [collar_id, sessionIds]
+  );
+  if (refs.length === 0) return result;
+
+  const { rows: chunkRows } = await pool.query(
+    `SELECT r.id AS reference_id, c.temp_data, c.temp_first_timestamp
+       FROM temperature_references r
+       JOIN collar_chunks c
+         ON c.collar_id = r.collar_id AND c.session_id = r.session_id
+        AND c.temp_first_timestamp BETWEEN r.measured_at - make_interval(secs => $3)
+                                       AND r.measured_at + make_interval(secs => $4)
+      WHERE r.collar_id = $1 AND r.session_id = ANY($2::text[])`,
+    [collar_id, sessionIds, CALIBRATION_MAX_CHUNK_SPAN_S + CALIBRATION_PAIR_WINDOW_S, CALIBRATION_PAIR_WINDOW_S]
+  );
+  const chunksByRef = new Map();
+  for (const row of chunkRows) {
+    const key = String(row.reference_id);
+    if (!chunksByRef.has(key)) chunksByRef.set(key, []);
+    chunksByRef.get(key).push(row);
+  }
+
+  for (const ref of refs) {
+    const at = new Date(ref.measured_at).getTime();
+    const nearby = (chunksByRef.get(String(ref.id)) || [])
+      .flatMap(row => expandTemperatureReadings(row.temp_data, row.temp_first_timestamp))
+      .filter(r => Math.abs(r.ts - at) <= CALIBRATION_PAIR_WINDOW_S * 1000)
+      .map(r => r.temp_c);
+    // References without skin readings nearby (yet) are skipped until data arrives
+    if (nearby.length === 0) continue;
+    result.get(ref.session_id).pairs.push({
+      source: ref.source,
+      reference_id: ref.id,
+      measured_at: ref.measured_at,
+      core_c: Number(ref.core_temp_c),
+      skin_c: meanOf(nearby)
+    });
+  }
+
+  return result;
+}
+
+// Paired readings for one session, see loadCalibrationPairsBySession
+async function loadSessionCalibrationPairs(collar_id, session, pendingTemps = null) {
+  const pending = new Map(pendingTemps ? [[session.session_id, pendingTemps]] : []);
+  return (await loadCalibrationPairsBySession(collar_id, [session], pending)).get(session.session_id);
+}
+
+/**
+ * Calibration models for several sessions of a collar (Map session_id -> model): fitted
+ * from each session's own pairs when it has any, else pooled from the collar's recent
+ * sessions with the same coat type, else the coat-type prior. The coat type comes from the
+ * session snapshot, falling back to the collar. Pairs are loaded in batches, not per session.
+ */
+async function getCalibrationModels(collar, sessionIds, pendingTemps = new Map()) {
+  const models = new Map();
+  const missing = [];
+  for (const session_id of new Set(sessionIds)) {
+    const cached = calibrationBySession.get(`${collar.collar_id}:${session_id}`);
+    if (cached) models.set(session_id, cached);
+    else missing.push(session_id);
+  }
+  if (missing.length === 0) return models;
+
+  const { rows: sessionRows } = await pool.query(
+    `SELECT session_id, created_at, dog_metadata FROM collar_sessions
+      WHERE collar_id = $1
+      ORDER BY (session_id = ANY($2::text[])) DESC, created_at DESC
+      LIMIT $3`,
+    [collar.collar_id, missing, CALIBRATION_MAX_COLLAR_SESSIONS + missing.length]
+  );
+  const coatOf = s => normalizeCoatType(s.dog_metadata?.coat_type ?? collar.coat_type);
+  // A session missing here was created in the caller's uncommitted transaction (new_session)
+  // and holds the collar's current details
+  const requested = missing.map(id => sessionRows.find(s => s.session_id === id) ||
+    { session_id: id, created_at: new Date(), dog_metadata: dogMetadataSnapshot(collar) });
+  const own = await loadCalibrationPairsBySession(collar.collar_id, requested, pendingTemps);
+
+  // Pooled pairs are only loaded when a requested session has none of its own
+  let pooledBySession = null;
+  if (requested.some(s => own.get(s.session_id).pairs.length === 0)) {
+    const others = sessionRows.filter(s => !missing.includes(s.session_id));
+    pooledBySession = await loadCalibrationPairsBySession(collar.collar_id, others);
+    for (const s of requested) pooledBySession.set(s.session_id, own.get(s.session_id));
+  }
+
+  for (const current of requested) {
+    const { pairs, complete } = own.get(current.session_id);
+    const coat = coatOf(current);
+    let model;
+    if (pairs.length > 0) {
+      model = fitCalibrationModel(pairs, coat, 'session');
+    } else {
+      const pooled = sessionRows
+        .filter(s => s.session_id !== current.session_id && coatOf(s) === coat)
+        .flatMap(s => pooledBySession.get(s.session_id).pairs);
+      model = fitCalibrationModel(pooled, coat, 'collar');
+    }
+
+    // Don't cache while the session-start reference still waits for its first skin readings
+    if (complete) calibrationBySession.set(`${collar.collar_id}:${current.session_id}`, model);
+    models.set(current.session_id, model);
+  }
+  return models;
+}
+
+// Calibration model for one session, see getCalibrationModels
+async function getCalibrationModel(collar, session_id, pendingTemps = null) {
+  const pending = new Map(pendingTemps ? [[session_id, pendingTemps]] : []);
+  return (await getCalibrationModels(collar, [session_id], pending)).get(session_id);
+}
+
+function invalidateCollarCalibration(collar_id) {
+  for (const key of calibrationBySession.keys()) {
+    if (key.startsWith(`${collar_id}:`)) calibrationBySession.delete(key);
+  }
+}
+
+function calibrationSummary(model) {
+  return {
+    source: model.source,
+    coat_type: model.coat_type,
+    gain: model.gain,
+    offset_c: model.offset_c,
+    pairs: model.pairs,
+    rmse_c: model.rmse_c
+  };
+}
+
+/* -----------------------------
+   Temperature alerting (fever / hypothermia)
+   Skin readings are lifted to an estimated core temperature with the session's
+   calibration model, then run through a hysteresis + minimum-duration state machine.
+   ----------------------------- */
+const TEMPERATURE_ALERT_TYPES = ['fever', 'hypothermia'];
+const TEMPERATURE_ALERT_DEFAULTS = {
+  fever_c: 39.5,
+  hypothermia_c: 37.5,
+  hysteresis_c: 0.3,
+  min_duration_s: 300
+};
+// Effective thresholds: collar-specific row, else breed row, else defaults
+async function getTemperatureAlertThresholds(collar) {
+  const { rows } = await pool.query(
+    `SELECT collar_id, breed, fever_c, hypothermia_c, hysteresis_c, min_duration_s
+       FROM temperature_alert_thresholds
+      WHERE collar_id = $1 OR (breed IS NOT NULL AND lower(breed) = lower($2))
+      ORDER BY (collar_id IS NOT NULL) DESC
+      LIMIT 1`,
+    [collar.collar_id, collar.breed || '']
+  );
+  if (rows.length === 0) {
+    return { ...TEMPERATURE_ALERT_DEFAULTS, source: 'default' };
+  }
+  const row = rows[0];
+  return {
+    fever_c: Number(row.fever_c),
+    hypothermia_c: Number(row.hypothermia_c),
+    hysteresis_c: Number(row.hysteresis_c),
+    min_duration_s: Number(row.min_duration_s),
+    source: row.collar_id ? 'collar' : 'breed'
+  };
+}
+
+/**
+ * Feed readings ({ ts, core_c }) through the alert state machine for one type.
+ * pending -> open once the condition held for min_duration_s; open -> closed when the
+ * temperature crosses back past threshold ± hysteresis; a pending alert that clears early is discarded.
+ * Returns { active, touched } where touched are the alert objects to persist.
+ */
+function runTemperatureAlertMachine(type, active, readings, thresholds) {
+  const fever = type === 'fever';
+  const threshold = fever ? thresholds.fever_c : thresholds.hypothermia_c;
+  const triggered = t => (fever ? t >= threshold : t <= threshold);
+  const cleared = t => (fever
+    ? t < threshold - thresholds.hysteresis_c
+    : t > threshold + thresholds.hysteresis_c);
+  const touched = active ? [active] : [];
+
+  for (const r of readings) {
+    if (!active) {
+      if (!triggered(r.core_c)) continue;
+      active = {
+        type,
+        status: 'pending',
+        started_at: r.ts,
+        opened_at: null,
+        ended_at: null,
+        threshold_c: threshold,
+        peak_temp_c: r.core_c,
+        last_temp_c: r.core_c
+      };
+      touched.push(active);
+    } else {
+      active.last_temp_c = r.core_c;
+      active.peak_temp_c = fever ? Math.max(active.peak_temp_c, r.core_c) : Math.min(active.peak_temp_c, r.core_c);
+      if (cleared(r.core_c)) {
+        if (active.status === 'pending') {
+          active.discarded = true;
+        } else {
+          active.status = 'closed';
+          active.ended_at = r.ts;
+        }
+        active = null;
+        continue;
+      }
+    }
+
+    if (active.status === 'pending' && r.ts - active.started_at >= thresholds.min_duration_s * 1000) {
+      active.status = 'open';
+      active.opened_at = r.ts;
+    }
+  }
+
+  return { active, touched };
+}
+
+function alertRowToState(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    started_at: new Date(row.started_at).getTime(),
+    opened_at: row.opened_at ? new Date(row.opened_at).getTime() : null,
+    ended_at: null,
+    threshold_c: Number(row.threshold_c),
+    peak_temp_c: Number(row.peak_temp_c),
+    last_temp_c: Number(row.last_temp_c),
+    initial_status: row.status
+  };
+}
+
+/**
+ * Run alerting over one chunk's temperatures on the ingest transaction's client. Returns
+ * status changes ([{ id, type, status, ... }]) for the PUT /chunks response.
+ */
+async function processTemperatureAlerts(client, collar, session_id, decoded) {
+  const skinReadings = expandTemperatureReadings(decoded.temp_data, decoded.temp_first_timestamp);
+  if (skinReadings.length === 0) return [];
+
+  // The coat-type prior is too coarse to alert on, and raw skin temperature sits far below
+  // the core thresholds: alerting waits for a model fitted from core references
+  const model = await getCalibrationModel(collar, session_id);
+  if (model.source === 'coat_prior') return [];
+  const thresholds = await getTemperatureAlertThresholds(collar);
+  const readings = skinReadings.map(r => ({ ts: r.ts, core_c: estimateCoreTemperature(model, r.temp_c) }));
+  const iso = ms => (ms === null ? null : new Date(ms).toISOString());
+
+  const changes = [];
+  const { rows: activeRows } = await client.query(
+    `SELECT * FROM temperature_alerts
+      WHERE collar_id = $1 AND status <> 'closed'
+      FOR UPDATE`,
+    [collar.collar_id]
+  );
+
+  for (const type of TEMPERATURE_ALERT_TYPES) {
+    const row = activeRows.find(r => r.type === type);
+    const { touched } = runTemperatureAlertMachine(type, row ? alertRowToState(row) : null, readings, thresholds);
+
+    for (const alert of touched) {
+      if (alert.discarded) {
+        if (alert.id) await client.query('DELETE FROM temperature_alerts WHERE id = $1', [alert.id]);
+        continue;
+      }
+      if (alert.id) {
+        await client.query(
+          `UPDATE temperature_alerts
+              SET status = $2, opened_at = $3, ended_at = $4, peak_temp_c = $5, last_temp_c = $6, updated_at = NOW()
+            WHERE id = $1`,
+          [alert.id, alert.status, iso(alert.opened_at), iso(alert.ended_at), alert.peak_temp_c, alert.last_temp_c]
+        );
+      } else {
+        const { rows } = await client.query(
+          `INSERT INTO temperature_alerts
+             (collar_id, session_id, type, status, started_at, opened_at, ended_at, threshold_c,
+              peak_temp_c, last_temp_c, reference_core_c, core_offset_c, core_gain, calibration_source,
+              created_at, updated_at)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,NOW(),NOW())
+           RETURNING id`,
+          [collar.collar_id, session_id, alert.type, alert.status, iso(alert.started_at), iso(alert.opened_at),
+           iso(alert.ended_at), alert.threshold_c, alert.peak_temp_c, alert.last_temp_c,
+           model.reference_core_c, model.offset_c, model.gain, model.source]
+        );
+        alert.id = rows[0].id;
+      }
+      if (alert.status !== alert.initial_status && alert.status !== 'pending') {
+        changes.push({
+          id: alert.id,
+          type: alert.type,
+          status: alert.status,
+          started_at: iso(alert.started_at),
+          ended_at: iso(alert.ended_at),
+          peak_temp_c: alert.peak_temp_c
+        });
+      }
+    }
+  }
+
+  for (const change of changes) {
+    console.log(`[Temperature Alert] ${collar.collar_id} ${change.type} ${change.status} (peak ${change.peak_temp_c.toFixed(2)}°C)`);
+  }
+  return changes;
+}
+
+/* -----------------------------
+   Time-series aggregation
+   Steps are placed on the per-second activity timeline (mapped IMU timestamps),
+   temperatures on temp_first_timestamp + i s, then grouped into UTC-aligned buckets.
+   ----------------------------- */
+const TIMESERIES_METRICS = ['steps', 'temp'];
+const TIMESERIES_BUCKET_MS = { '1m': 60 * 1000, '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000, '1d': 24 * 60 * 60 * 1000 };
+const TIMESERIES_DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const TIMESERIES_MAX_BUCKETS = 10000;
+const TIMESERIES_CHUNK_LOOKBACK_S = 3600; // chunks starting this long before `from` may still overlap it
+
+/**
+ * Timestamped step counts for one stored chunk. The timeline's per-second steps are
+ * scaled to steps_in_chunk (a recount rewrites the total, not the timeline) and rounded
+ * so they still add up to it; older timelines without per-second steps spread the total
+ * evenly over their seconds, and chunks without a timeline put it at fallbackTs.
+ */
+function chunkStepReadings(stepsInChunk, timeline, fallbackTs) {
+  const total = Number(stepsInChunk) || 0;
+  if (total === 0) return [];
+
+  const start = timeline ? Date.parse(timeline.start_ts) : NaN;
+  if (Number.isNaN(start) || !Array.isArray(timeline.labels) || timeline.labels.length === 0) {
+    return Number.isFinite(fallbackTs) ? [{ ts: fallbackTs, steps: total }] : [];
+  }
+
+  const intervalMs = Number(timeline.interval_ms) || 1000;
+  const weights = Array.isArray(timeline.steps) && timeline.steps.some(s => Number(s) > 0)
+    ? timeline.steps.map(s => Number(s) || 0)
+    : timeline.labels.map(label => (label === null ? 0 : 1));
+  const weightTotal = weights.reduce((a, b) => a + b, 0);
+  if (weightTotal === 0) return [{ ts: start, steps: total }];
+
+  return apportionSteps(total, weights, weightTotal)
+    .map((steps, i) => ({ ts: start + i * intervalMs, steps }))
+    .filter(r => r.steps > 0);
+}
+
+// Split an integer total by weights into integers that add up to it (largest remainder)
+function apportionSteps(total, weights, weightTotal) {
+  const shares = weights.map(w => (total * w) / weightTotal);
+  const counts = shares.map(Math.floor);
+  let left = total - counts.reduce((a, b) => a + b, 0);
+  const byRemainder = shares
+    .map((share, i) => ({ i, remainder: share - counts[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (const { i } of byRemainder) {
+    if (left <= 0) break;
+    counts[i]++;
+    left--;
+  }
+  return counts;
+}
+
+/**
+ * Group readings into buckets covering [fromMs, toMs). Empty buckets are kept so
+ * the series is continuous. metric 'steps' sums r.steps; 'temp' reports
+ * min/max/avg of r.temp_c and the average of r.core_c.
+ */
+function aggregateTimeseries(metric, readings, fromMs, toMs, bucketMs) {
+  const first = Math.floor(fromMs / bucketMs) * bucketMs;
+  const buckets = [];
+  for (let t = first; t < toMs; t += bucketMs) {
+    buckets.push(metric === 'steps'
+      ? { start: t, steps: 0 }
+      : { start: t, count: 0, min_c: null, max_c: null, sum_c: 0, sum_core_c: 0 });
+  }
+
+  for (const r of readings) {
+    if (r.ts < fromMs || r.ts >= toMs) continue;
+    const bucket = buckets[Math.floor((r.ts - first) / bucketMs)];
+    if (metric === 'steps') {
+      bucket.steps += r.steps;
+      continue;
+    }
+    bucket.count++;
+    bucket.min_c = bucket.min_c === null ? r.temp_c : Math.min(bucket.min_c, r.temp_c);
+    bucket.max_c = bucket.max_c === null ? r.temp_c : Math.max(bucket.max_c, r.temp_c);
+    bucket.sum_c += r.temp_c;
+    bucket.sum_core_c += r.core_c;
+  }
+
+  return buckets.map(b => (metric === 'steps'
+    ? { start: new Date(b.start).toISOString(), steps: Math.round(b.steps) }
+    : {
+        start: new Date(b.start).toISOString(),
+        count: b.count,
+        min_c: b.min_c,
+        max_c: b.max_c,
+        avg_c: b.count ? roundTemp(b.sum_c / b.count) : null,
+        core_avg_c: b.count ? roundTemp(b.sum_core_c / b.count) : null
+      }));
+}
+
+const TEMPERATURE_LIST_DEFAULT_LIMIT = 10000;
+const TEMPERATURE_LIST_MAX_LIMIT = 50000;
+const TEMPERATURE_PAGE_CHUNK_BATCH = 200;
+
+// Page cursor: the last returned reading as (chunk temp_first_timestamp, chunk id, reading index)
+function encodeTemperatureCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// Returns { ts, id, index }, or null when the cursor is malformed
+function decodeTemperatureCursor(cursor) {
+  try {
+    const { ts, id, index } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isNaN(Date.parse(ts)) || !Number.isInteger(id) || !Number.isInteger(index)) return null;
+    return { ts, id, index };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * One page of temperature readings in [fromMs, toMs), at most limit (Infinity for all).
+ * Readings are ordered by chunk (temp_first_timestamp, id), then by index within the chunk;
+ * chunks are walked in that order in batches so a page only reads the chunks it needs.
+ * cursor (decoded next_cursor) resumes after the last reading of the previous page.
+ */
+async function loadTemperaturePage(collar, { sessionId, fromMs, toMs, limit, cursor = null }) {
+  const readings = [];
+  const calibrations = new Map();
+  // keyset: last (temp_first_timestamp, id) seen; the cursor's own chunk is read again from its next reading
+  let after = cursor ? { ts: cursor.ts, id: cursor.id, inclusive: true } : null;
+  let hasMore = false;
+
+  while (!hasMore) {
+    // toMs may be Infinity (no upper bound), which Postgres takes as 'infinity'
+    const values = [collar.collar_id, new Date(fromMs).toISOString(),
+      Number.isFinite(toMs) ? new Date(toMs).toISOString() : 'infinity',
+      TIMESERIES_CHUNK_LOOKBACK_S, TEMPERATURE_PAGE_CHUNK_BATCH];
+    const conditions = [
+      'collar_id = $1',
+      'temp_first_timestamp IS NOT NULL',
+      'temp_first_timestamp >= $2::timestamptz - make_interval(secs => $4)',
+      'temp_first_timestamp < $3::timestamptz'
+    ];
+    if (sessionId) {
+      values.push(sessionId);
+      conditions.push(`session_id = $${values.length}`);
+    }
+    if (after) {
+      values.push(after.ts, after.id);
+      conditions.push(`(temp_first_timestamp, id) ${after.inclusive ? '>=' : '>'} ($${values.length - 1}::timestamptz, $${values.length})`);
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, session_id, temp_data, temp_first_timestamp
+         FROM collar_chunks
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY temp_first_timestamp ASC, id ASC
+        LIMIT $5`,
+      values
+    );
+
+    const uncalibrated = rows.map(chunk => chunk.session_id).filter(id => !calibrations.has(id));
+    for (const [id, model] of await getCalibrationModels(collar, uncalibrated)) calibrations.set(id, model);
+
+    for (const chunk of rows) {
+      const model = calibrations.get(chunk.session_id);
+      for (const reading of expandTemperatureReadings(chunk.temp_data, chunk.temp_first_timestamp)) {
+        if (reading.ts < fromMs || reading.ts >= toMs) continue;
+        if (cursor && Number(chunk.id) === cursor.id && reading.index <= cursor.index) continue;
+        if (readings.length === limit) {
+          hasMore = true;
+          break;
+        }
+        readings.push({
+          temp_c: reading.temp_c,
+          core_temp_c: roundTemp(estimateCoreTemperature(model, reading.temp_c)),
+          ts: reading.ts,
+          position: { ts: new Date(chunk.temp_first_timestamp).toISOString(), id: Number(chunk.id), index: reading.index }
+        });
+      }
+      if (hasMore) break;
+    }
+
+    if (rows.length < TEMPERATURE_PAGE_CHUNK_BATCH) break;
+    const last = rows[rows.length - 1];
+    after = { ts: last.temp_first_timestamp, id: last.id };
+  }
+
+  return {
+    temperature_list: readings.map(r => ({
+      temp_c: r.temp_c,
+      core_temp_c: r.core_temp_c,
+      timestamp: new Date(r.ts).toISOString()
+    })),
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeTemperatureCursor(readings[readings.length - 1].position) : null
+  };
+}
+
+/* -----------------------------
+   Chunk ingestion pipeline
+   One decoded chunk -> timestamps, reorder window, step counter, events, continuity,
+   temperature alerts and its collar_chunks row. DB writes go through the caller's
+   transaction client; in-memory session state is snapshotted so a failed chunk can be undone.
+   ----------------------------- */
+
+// Tail of each collar's ingest queue (see withCollarIngestLock)
+const ingestQueueByCollar = new Map();
+
+/**
+ * Run fn once every earlier ingest for the collar has finished. Uploads and import files
+ * of one collar share its clock model and their session's in-memory state, and restore
+ * them from snapshots on rollback, so they must not interleave.
+ */
+async function withCollarIngestLock(collar_id, fn) {
+  const previous = ingestQueueByCollar.get(collar_id) || Promise.resolve();
+  let release;
+  const tail = previous.then(() => new Promise(resolve => { release = resolve; }));
+  ingestQueueByCollar.set(collar_id, tail);
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (ingestQueueByCollar.get(collar_id) === tail) ingestQueueByCollar.delete(collar_id);
+  }
+}
+
+/**
+ * Capture what ingesting a chunk changes in memory for a session (step counter state,
+ * reorder buffer, watermark, timestamp mapping). The returned function puts it back
+ * after the chunk's savepoint or the whole transaction is rolled back.
+ */
+function snapshotSessionMemory(collar, session_id) {
+  const collar_id = collar.collar_id;
+  const key = `${collar_id}:${session_id}`;
+  const sc = stepCounterBySession.get(key);
+  const scState = sc ? sc.serializeState() : null;
+  const buffer = reorderBufferBySession.get(key);
+  const bufferCopy = buffer
+    ? { ...buffer, newest: buffer.newest && { ...buffer.newest }, samples: new Map(buffer.samples) }
+    : null;
+  const hadLastSample = lastSampleNumberBySession.has(key);
+  const lastSample = lastSampleNumberBySession.get(key);
+  const hadMapping = mappingByCollar.has(collar_id);
+  const mapping = mappingByCollar.get(collar_id);
+  const mappingJson = collar.mapping_json;
+
+  return () => {
+    if (sc) {
+      sc.restoreState(scState);
+      stepCounterBySession.set(key, sc);
+    } else {
+      stepCounterBySession.delete(key);
+    }
+    if (bufferCopy) reorderBufferBySession.set(key, bufferCopy);
+    else reorderBufferBySession.delete(key);
+    if (hadLastSample) lastSampleNumberBySession.set(key, lastSample);
+    else lastSampleNumberBySession.delete(key);
+    if (hadMapping) mappingByCollar.set(collar_id, mapping);
+    else mappingByCollar.delete(collar_id);
+    collar.mapping_json = mappingJson;
+    // May have been fitted with this chunk's temperatures
+    calibrationBySession.delete(key);
+  };
+}
+
+/**
+ * Ingest one decoded chunk into a session on `client` (inside a transaction). `collar` is
+ * the collars row; its mapping_json (clock model) is updated in place so the next chunk of
+ * a batch maps against it. liveSession: false (imports) keeps the session's clock from
+ * moving the collar-level one, skips temperature alerting and leaves the collar's
+ * last_session_id alone. Returns { chunk_id, outputMetric, temperature_alerts, continuity }.
+ */
+async function ingestChunk(client, collar, session_id, decoded, identity, { liveSession = true } = {}) {
+  const collar_id = collar.collar_id;
+
+  // This chunk's anchor and device-clock deltas refine the session's sample period first
+  const { model: clockModel, clock } = updateClockModel(
+    collar.mapping_json, session_id, decoded, { collarLevel: liveSession }
+  );
+  const { mapped, mapping } = mapSamplesToTimestamps(decoded, clock);
+
+  await client.query(
+    "UPDATE collars SET mapping_json=$2 WHERE collar_id=$1",
+    [collar_id, clockModel]
+  );
+  collar.mapping_json = clockModel;
+  mappingByCollar.set(collar_id, clockModel);
+
+  // Per-session step counter (persists across restarts using DB seed)
+  const sc = await getOrInitStepCounter(collar_id, session_id);
+  // Measured rate replaces the configured sample_rate_hz as the estimate is refined
+  if (clock.source !== 'default') sc.setSampleRate(clock.sample_rate_hz);
+
+  // ✅ CORRECTED step counting logic - only process NEW samples
+  const sessionKey = `${collar_id}:${session_id}`;
+  
+  // ✅ Load last processed sample (from memory or DB)
+  const lastProcessedSampleNumber = await getLastProcessedSampleNumber(collar_id, session_id);
+
+  // Reorder window: samples are held until reorder_horizon_samples behind the newest one,
+  // then released in sample_number order; anything at or below the watermark is not fed
+  const reorderBuffer = await getOrInitReorderBuffer(collar, session_id, lastProcessedSampleNumber);
+  const countedThrough = reorderBuffer.watermark;
+  const admitted = admitToReorderBuffer(reorderBuffer, mapped, decoded.samples, Boolean(mapping));
+  const samplesToProcess = admitted.release;
+
+  console.log(`Session ${sessionKey}: Watermark=${countedThrough}, ` +
+              `Current chunk has ${mapped.length} samples, ` +
+              `Releasing ${samplesToProcess.length}, holding ${reorderBuffer.samples.size}` +
+              (admitted.belowWatermark ? `, ${admitted.belowWatermark} at or below watermark` : '') +
+              (admitted.reset ? ' (sample_number reset)' : ''));
+
+  // Only process if we have new samples
+  let stepsInChunk = 0;
+  let walkingStepsInChunk = 0;
+  let runningStepsInChunk = 0;
+  let legShakeRemovedInChunk = 0;
+  let activityTimeline = null;
+  let motionTimeline = null;
+  let behaviourEvents = [];
+  
+  if (samplesToProcess.length > 0) {
+    const before = sc.step_count;
+    const walkingBefore = sc.walking_steps;
+    const runningBefore = sc.running_steps;
+    const shakeBefore = sc.leg_shake_removed;
+    // Counts steps, labels each second (rest/walk/trot/run/shake) and records per-second
+    // motion levels for rest/sleep detection
+    ({ activity: activityTimeline, motion: motionTimeline } = countStepsWithActivity(sc, samplesToProcess));
+    // Scratching / head-shake events (stored after the chunk row exists)
+    behaviourEvents = detectBehaviourEvents(samplesToProcess);
+    const after = sc.step_count;
+    stepsInChunk = after - before;
+    walkingStepsInChunk = sc.walking_steps - walkingBefore;
+    runningStepsInChunk = sc.running_steps - runningBefore;
+    legShakeRemovedInChunk = sc.leg_shake_removed - shakeBefore;
+  } else if (reorderBuffer.samples.size === 0) {
+    console.warn(`Session ${sessionKey}: No new samples to process (possible duplicate chunk)`);
+  }
+
+  // ✅ Last processed sample = reorder watermark (in memory AND will save to DB)
+  const lastSampleNumber = reorderBuffer.watermark;
+  lastSampleNumberBySession.set(sessionKey, lastSampleNumber);
+
+  // Skin -> core calibration; this chunk's temps pair with the session-start reference if it is the first
+  const calibration = await getCalibrationModel(collar, session_id, decoded.temp_data);
+  const tempAvgC = decoded.temp_data?.length
+    ? decoded.temp_data.reduce((a, b) => a + b, 0) / decoded.temp_data.length
+    : null;
+
+  // ✅ Enhanced output metric - includes last_sample_number for DB persistence
+  const outputMetric = {
+    steps_in_chunk: stepsInChunk,
+    walking_steps_in_chunk: walkingStepsInChunk,
+    running_steps_in_chunk: runningStepsInChunk,
+    leg_shake_removed_in_chunk: legShakeRemovedInChunk,
+    cumulative_steps: sc.step_count,
+    cumulative_running_steps: sc.running_steps,
+    cumulative_leg_shake_removed: sc.leg_shake_removed,
+    samples_processed: samplesToProcess.length,
+    total_samples_in_chunk: mapped.length,
+    format_version: decoded.format_version,
+    clock: { period_ms: clock.period_ms, sample_rate_hz: clock.sample_rate_hz, source: clock.source },
+    last_sample_number: lastSampleNumber, // ✅ Store in DB for recovery
+    reorder: {
+      segment: reorderBuffer.segment,
+      horizon_samples: reorderBuffer.horizon,
+      released_samples: samplesToProcess.length,
+      held_samples: reorderBuffer.samples.size,
+      below_watermark_samples: admitted.belowWatermark
+    },
+    activity_timeline: activityTimeline,
+    motion_timeline: motionTimeline,
+    // Events inserted or extended per type; set once they are stored (merging needs the chunk row)
+    events_in_chunk: Object.fromEntries(EVENT_TYPES.map(t => [t, 0])),
+    temp_avg_c: tempAvgC,
+    temp_core_avg_c: tempAvgC === null ? null : estimateCoreTemperature(calibration, tempAvgC),
+    core_calibration: calibrationSummary(calibration),
+    session_id_used: session_id,
+    received_at: new Date().toISOString()
+  };
+
+  const chunkRow = await insertChunkRow(
+    client, collar_id, session_id, decoded, {}, outputMetric, identity, clock.period_ms
+  );
+  if (!chunkRow) {
+    const stored = await findDuplicateChunk(collar_id, session_id, identity, client);
+    throw Object.assign(new Error('chunk already stored'), { duplicateOf: stored });
+  }
+
+  // Save full counter state so eviction/restart resumes mid-window exactly
+  await saveStepCounterState(client, collar_id, session_id, sc, lastSampleNumber);
+
+  if (behaviourEvents.length > 0) {
+    outputMetric.events_in_chunk = await storeCollarEvents(client, collar_id, session_id, chunkRow.id, behaviourEvents);
+    await client.query(
+      `UPDATE collar_chunks SET output_metric = output_metric || jsonb_build_object('events_in_chunk', $2::jsonb) WHERE id = $1`,
+      [chunkRow.id, JSON.stringify(outputMetric.events_in_chunk)]
+    );
+  }
+
+  // Gaps / overlaps / resets in sample_number and clock drift for this session
+  const continuity = await recordChunkContinuity(
+    client, collar_id, session_id, chunkRow.id, decoded, mapped, mapping,
+    countedThrough === null ? null : Number(countedThrough)
+  );
+
+  // Fever / hypothermia alerting on this chunk's temperatures. The alert state is the
+  // collar's, so recorded (imported) data does not open or close alerts
+  const temperatureAlerts = liveSession
+    ? await processTemperatureAlerts(client, collar, session_id, decoded)
+    : [];
+
+  // Persist latest session steps onto collar keyed by collar+session
+  await writeSessionOutputMetric(client, collar_id, session_id, {
+    ...sessionStepMetric(sc),
+    last_chunk_id: chunkRow.id,
+    last_sample_number: lastSampleNumber, // ✅ Also store here
+    last_update: new Date().toISOString()
+  }, { liveSession });
+
+  return {
+    chunk_id: chunkRow.id,
+    outputMetric,
+    temperature_alerts: temperatureAlerts,
+    continuity
+  };
+}
+
+/**
+ * Ingest decoded entries ({ key, decoded, identity, stored?, repeatOf? }) in sample order
+ * inside the caller's transaction, one savepoint per chunk. Stored chunks and in-batch
+ * repeats are left out. A failing chunk is rolled back (rows and session memory) and
+ * reported in results[key] as { ok: false, error }, or rethrown with stopOnError.
+ * liveSession is passed on to ingestChunk. Returns the processed entries in processing order.
+ */
+async function ingestChunkEntries(client, collar, session_id, entries, results,
+                                  { stopOnError = false, liveSession = true } = {}) {
+  const pending = entries
+    .filter(entry => !entry.stored && !entry.repeatOf)
+    .sort((a, b) => (a.identity.first_sample_number ?? Infinity) - (b.identity.first_sample_number ?? Infinity) || 0);
+
+  for (const entry of pending) {
+    const restoreChunk = snapshotSessionMemory(collar, session_id);
+    await client.query('SAVEPOINT chunk');
+    try {
+      const result = await ingestChunk(client, collar, session_id, entry.decoded, entry.identity, { liveSession });
+      await client.query('RELEASE SAVEPOINT chunk');
+      results[entry.key] = { ok: true, session_id_used: session_id, ...result };
+    } catch (e) {
+      if (e.duplicateOf) {
+        // A concurrent retry stored it first: report the stored chunk as for any retry
+        await client.query('ROLLBACK TO SAVEPOINT chunk');
+        restoreChunk();
+        console.log(`[Idempotency] ${collar.collar_id}:${session_id} chunk ${entry.key} stored concurrently as ${e.duplicateOf.id}`);
+        results[entry.key] = {
+          ok: true,
+          duplicate: true,
+          session_id_used: e.duplicateOf.session_id,
+          chunk_id: e.duplicateOf.id,
+          outputMetric: e.duplicateOf.output_metric
+        };
+        continue;
+      }
+      if (stopOnError) throw e;
+      await client.query('ROLLBACK TO SAVEPOINT chunk');
+      restoreChunk();
+      console.error(`[Ingest] ${collar.collar_id}:${session_id} chunk ${entry.key} failed`, e);
+      results[entry.key] = { ok: false, error: e.message };
+    }
+  }
+  return pending;
+}
+
+/* -----------------------------
+   Offline replay (stored chunks -> fresh StepCounter)
+   ----------------------------- */
+
+// Validate algorithm_params: plain object of numeric values (JSON string accepted, e.g. from a query)
+function parseAlgorithmParams(value) {
+  let obj = value;
+  if (typeof obj === 'string') {
+    try { obj = JSON.parse(obj); } catch (_) { return null; }
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+  const out = {};
+  for (const [key, v] of Object.entries(obj)) {
+    const num = Number(v);
+    if (v === null || v === '' || !Number.isFinite(num)) return null;
+    out[key] = num;
+  }
+  return out;
+}
+
+// Validate user-supplied step counter params: known fields only, numeric values
+// (algorithm must name a registered implementation)
+function pickStepCounterParams(input) {
+  const params = {};
+  const invalid = [];
+  for (const [key, value] of Object.entries(input || {})) {
+    if (key === 'algorithm') {
+      if (STEP_ALGORITHMS.hasOwnProperty(value)) params.algorithm = value;
+      else invalid.push(key);
+      continue;
+    }
+    if (key === 'algorithm_params') {
+      const algorithmParams = parseAlgorithmParams(value);
+      if (algorithmParams) params.algorithm_params = algorithmParams;
+      else invalid.push(key);
+      continue;
+    }
+    const num = Number(value);
+    if (!STEP_COUNTER_PARAM_DEFAULTS.hasOwnProperty(key) || value === null || value === '' || !Number.isFinite(num)) {
+      invalid.push(key);
+      continue;
+    }
+    if (key === 'reorder_horizon_samples' && !(Number.isInteger(num) && num >= 0)) {
+      invalid.push(key);
+      continue;
+    }
+    params[key] = num;
+  }
+  return { params, invalid };
+}
+
+// Rebuild the chunk JSON originally sent to PUT /chunks from a stored row
+function storedChunkToJson(row) {
+  let chunkObj = row.raw_base64_json;
+  if (typeof chunkObj === 'string') {
+    try { chunkObj = JSON.parse(chunkObj); } catch (_) { chunkObj = null; }
+  }
+  if (!chunkObj || !chunkObj.imu_data) {
+    chunkObj = {
+      imu_data: row.raw_imu_base64,
+      temp_data: row.temp_data,
+      temp_first_timestamp: row.temp_first_timestamp,
+      real_time: row.real_time_iso,
+      start_sample: row.start_sample
+    };
+  }
+  return chunkObj;
+}
+
+/**
+ * Load and decode every stored chunk for a session, ordered by first sample_number
+ * (falls back to insertion order for chunks without samples).
+ */
+async function loadSessionChunksForReplay(collar_id, session_id) {
+  const { rows } = await pool.query(
+    `SELECT id, chunk_key, start_sample, real_time_iso, temp_first_timestamp, temp_data,
+            raw_base64_json, raw_imu_base64, output_metric, created_at
+       FROM collar_chunks
+      WHERE collar_id = $1 AND session_id = $2
+      ORDER BY id ASC`,
+    [collar_id, session_id]
+  );
+
+  const chunks = rows.map(row => {
+    let decoded = null;
+    try {
+      decoded = decodeChunkJson(storedChunkToJson(row), { strict: false });
+    } catch (err) {
+      console.warn(`[Replay] Chunk ${row.id} of ${collar_id}:${session_id} could not be decoded: ${err.message}`);
+    }
+    const samples = decoded ? decoded.samples : [];
+    return {
+      row,
+      decoded,
+      first_sample: samples.length ? samples[0].sample_number : null
+    };
+  });
+
+  return chunks.sort((a, b) => {
+    if (a.first_sample === null && b.first_sample === null) return a.row.id - b.row.id;
+    if (a.first_sample === null) return 1;
+    if (b.first_sample === null) return -1;
+    return a.first_sample - b.first_sample || a.row.id - b.row.id;
+  });
+}
+
+/**
+ * Run a fresh StepCounter over loaded chunks, skipping samples already seen
+ * (same rule as PUT /chunks: only sample_number > last processed).
+ * With options.timeline, samples are fed one at a time and every step increment is
+ * recorded as { ts, steps } using the same timestamp mapping as ingestion (options.clock
+ * is the session clock, see sessionClock). Yields to the event loop after each chunk.
+ */
+async function replaySessionChunks(chunks, params, options = {}) {
+  const sc = createStepCounter(params);
+  const timeline = [];
+  let lastSampleNumber = null;
+  let persistedMapping = options.clock || null;
+
+  const results = [];
+  for (const chunk of chunks) {
+    let samples = chunk.decoded ? chunk.decoded.samples : [];
+    if (lastSampleNumber !== null) {
+      samples = samples.filter(s => s.sample_number > lastSampleNumber);
+    }
+
+    const before = sc.step_count;
+    const walkingBefore = sc.walking_steps;
+    const runningBefore = sc.running_steps;
+    const shakeBefore = sc.leg_shake_removed;
+    if (samples.length > 0) {
+      if (options.timeline) {
+        const { mapped, mapping } = mapSamplesToTimestamps({ ...chunk.decoded, samples }, persistedMapping);
+        if (mapping) persistedMapping = mapping;
+        for (const sample of mapped) {
+          const prev = sc.step_count;
+          sc.processChunk([sample]);
+          if (sc.step_count !== prev) {
+            timeline.push({ ts: sample.ts, steps: sc.step_count - prev });
+          }
+        }
+      } else {
+        sc.processChunk(samples);
+      }
+      lastSampleNumber = samples[samples.length - 1].sample_number;
+    }
+
+    const stepsInChunk = sc.step_count - before;
+    const runningStepsInChunk = sc.running_steps - runningBefore;
+    results.push({
+      chunk_id: chunk.row.id,
+      undecodable: !chunk.decoded,
+      steps_in_chunk: stepsInChunk,
+      walking_steps_in_chunk: sc.walking_steps - walkingBefore,
+      running_steps_in_chunk: runningStepsInChunk,
+      leg_shake_removed_in_chunk: sc.leg_shake_removed - shakeBefore,
+      cumulative_steps: sc.step_count,
+      cumulative_running_steps: sc.running_steps,
+      cumulative_leg_shake_removed: sc.leg_shake_removed,
+      samples_processed: samples.length
+    });
+    // A long session must not hold up ingestion for every other collar
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return { sc, results, timeline, lastSampleNumber };
+}
+
+/* -----------------------------
+   Ground truth + accuracy evaluation
+   ----------------------------- */
+
+async function getGroundTruthLabels(collar_id, session_id) {
+  const { rows } = await pool.query(
+    `SELECT id, start_time, end_time, true_steps, source, notes, created_by, created_at
+       FROM step_ground_truth
+      WHERE collar_id = $1 AND session_id = $2
+      ORDER BY start_time ASC, id ASC`,
+    [collar_id, session_id]
+  );
+  return rows;
+}
+
+/**
+ * Compare replayed step increments against labelled ranges.
+ * Steps are attributed to the sample at which StepCounter emitted them (up to one
+ * processing window after the actual footfall), ranges are [start_time, end_time).
+ */
+function evaluateStepAccuracy(timeline, labels) {
+  const ranges = labels.map(label => {
+    const start = new Date(label.start_time).getTime();
+    const end = new Date(label.end_time).getTime();
+    const predicted = timeline
+      .filter(e => e.ts >= start && e.ts < end)
+      .reduce((sum, e) => sum + e.steps, 0);
+    const actual = Number(label.true_steps);
+    const error = predicted - actual;
+    return {
+      label_id: label.id,
+      start_time: new Date(start).toISOString(),
+      end_time: new Date(end).toISOString(),
+      true_steps: actual,
+      predicted_steps: predicted,
+      error,
+      abs_error: Math.abs(error),
+      pct_error: actual > 0 ? (error / actual) * 100 : null
+    };
+  });
+
+  return { ranges, summary: summarizeAccuracyRanges(ranges) };
+}
+
+// MAE / MAPE / bias over evaluated ranges (possibly pooled from several sessions)
+function summarizeAccuracyRanges(ranges) {
+  const n = ranges.length;
+  const withTruth = ranges.filter(r => r.true_steps > 0);
+  const totalTrue = ranges.reduce((sum, r) => sum + r.true_steps, 0);
+  const totalPredicted = ranges.reduce((sum, r) => sum + r.predicted_steps, 0);
+
+  return {
+    ranges: n,
+    total_true_steps: totalTrue,
+    total_predicted_steps: totalPredicted,
+    mae: n ? ranges.reduce((sum, r) => sum + r.abs_error, 0) / n : null,
+    mape: withTruth.length
+      ? withTruth.reduce((sum, r) => sum + Math.abs(r.pct_error), 0) / withTruth.length
+      : null,
+    bias: n ? ranges.reduce((sum, r) => sum + r.error, 0) / n : null,
+    bias_pct: totalTrue > 0 ? ((totalPredicted - totalTrue) / totalTrue) * 100 : null
+  };
+}
+
+/* -----------------------------
+   Step counter parameter search (grid / random)
+   ----------------------------- */
+const STEP_COUNTER_INTEGER_PARAMS = new Set([
+  'peak_window_n', 'valley_window_n', 'filter_window_size', 'process_window_samples', 'baseline_step_samples'
+]);
+const PARAM_SEARCH_MAX_CANDIDATES = 500;
+const PARAM_SEARCH_MAX_SESSIONS = 20;
+const PARAM_SEARCH_MAX_SAMPLES = 2000000;     // stored IMU samples over all searched sessions (held in memory)
+const PARAM_SEARCH_METRICS = ['mape', 'mae', 'abs_bias'];
+
+// Search jobs live in memory only (results are cheap to reproduce from stored chunks)
+const paramSearchJobs = new Map();
+
+/**
+ * Normalize a search space: each field is either an explicit list of values
+ * or a { min, max, step? } range. Returns { space, error }.
+ */
+function normalizeParamSearchSpace(input) {
+  if (!input || typeof input !== 'object' || Object.keys(input).length === 0) {
+    return { error: 'search_space must name at least one step_counter_params field' };
+  }
+
+  const space = {};
+  for (const [key, spec] of Object.entries(input)) {
+    if (!STEP_COUNTER_PARAM_DEFAULTS.hasOwnProperty(key)) {
+      return { error: `Unknown step counter param in search_space: ${key}` };
+    }
+    if (key === 'algorithm' || key === 'algorithm_params') {
+      return { error: `${key} cannot be searched; set it in base_params` };
+    }
+    if (key === 'reorder_horizon_samples') {
+      return { error: `${key} does not affect offline replay and cannot be searched` };
+    }
+    if (key === 'sample_rate_hz') {
+      return { error: `${key} is measured per session by the clock model and cannot be searched` };
+    }
+    if (Array.isArray(spec)) {
+      const values = spec.map(Number);
+      if (values.length === 0 || values.some(v => !Number.isFinite(v))) {
+        return { error: `search_space.${key} must be a non-empty list of numbers` };
+      }
+      space[key] = { values };
+      continue;
+    }
+    const min = Number(spec && spec.min);
+    const max = Number(spec && spec.max);
+    const step = spec && spec.step !== undefined ? Number(spec.step) : null;
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max || (step !== null && !(step > 0))) {
+      return { error: `search_space.${key} must be a list or { min, max, step? } with min <= max and step > 0` };
+    }
+    space[key] = { min, max, step };
+  }
+  return { space };
+}
+
+function roundParamValue(key, value) {
+  return STEP_COUNTER_INTEGER_PARAMS.has(key) ? Math.round(value) : Number(value.toFixed(6));
+}
+
+function gridStepFor(spec) {
+  return spec.step || (spec.max - spec.min) / 4 || 1;
+}
+
+// Number of grid points for one field, known before any value is generated
+function gridSizeFor(spec) {
+  if (spec.values) return spec.values.length;
+  return Math.floor((spec.max - spec.min) / gridStepFor(spec) + 1e-9) + 1;
+}
+
+// Grid values for one field ({min,max} without step yields 5 evenly spaced points)
+function gridValuesFor(key, spec) {
+  if (spec.values) return spec.values;
+  const step = gridStepFor(spec);
+  const values = [];
+  for (let v = spec.min; v <= spec.max + 1e-9; v += step) {
+    values.push(roundParamValue(key, v));
+  }
+  return [...new Set(values)];
+}
+
+function randomValueFor(key, spec) {
+  if (spec.values) return spec.values[Math.floor(Math.random() * spec.values.length)];
+  if (spec.step) {
+    const slots = Math.floor((spec.max - spec.min) / spec.step);
+    return roundParamValue(key, spec.min + Math.floor(Math.random() * (slots + 1)) * spec.step);
+  }
+  return roundParamValue(key, spec.min + Math.random() * (spec.max - spec.min));
+}
+
+// Expand a normalized search space into candidate override sets. Returns { candidates, error }.
+function buildParamSearchCandidates(space, strategy, iterations) {
+  if (strategy === 'random') {
+    const n = Math.min(Number(iterations) || 50, PARAM_SEARCH_MAX_CANDIDATES);
+    const candidates = [];
+    for (let i = 0; i < n; i++) {
+      const candidate = {};
+      for (const [key, spec] of Object.entries(space)) {
+        candidate[key] = randomValueFor(key, spec);
+      }
+      candidates.push(candidate);
+    }
+    return { candidates };
+  }
+
+  let combinations = 1;
+  for (const spec of Object.values(space)) {
+    combinations *= gridSizeFor(spec);
+    if (combinations > PARAM_SEARCH_MAX_CANDIDATES) {
+      return { error: `Grid too large (max ${PARAM_SEARCH_MAX_CANDIDATES} combinations); narrow search_space or use strategy=random` };
+    }
+  }
+
+  let candidates = [{}];
+  for (const [key, spec] of Object.entries(space)) {
+    const values = gridValuesFor(key, spec);
+    candidates = candidates.flatMap(c => values.map(v => ({ ...c, [key]: v })));
+  }
+  return { candidates };
+}
+
+function paramSearchScore(summary, metric) {
+  const value = metric === 'abs_bias'
+    ? (summary.bias === null ? null : Math.abs(summary.bias))
+    : summary[metric];
+  return value === null || value === undefined ? Infinity : value;
+}
+
+/**
+ * Replay every labelled session once per candidate, rank by the chosen metric
+ * and optionally persist the best set through saveStepCounterParams.
+ * Each session replays with its own stored params plus job.base_params and the candidate;
+ * a result's params (and what save_best writes) are only those overrides.
+ */
+async function runParamSearchJob(job, candidates) {
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+
+  try {
+    const datasets = [];
+    for (const s of job.sessions) {
+      datasets.push({
+        params: await getStepCounterParams(s.collar_id, s.session_id),
+        chunks: await loadSessionChunksForReplay(s.collar_id, s.session_id),
+        labels: await getGroundTruthLabels(s.collar_id, s.session_id),
+        clock: await getSessionClock(s.collar_id, s.session_id)
+      });
+    }
+
+    const evaluate = async params => {
+      const ranges = [];
+      for (const d of datasets) {
+        // Each session replays at its own measured rate (d.params.measured_rate_hz)
+        const sessionParams = { ...d.params, ...params };
+        const { timeline } = await replaySessionChunks(d.chunks, sessionParams, { timeline: true, clock: d.clock });
+        ranges.push(...evaluateStepAccuracy(timeline, d.labels).ranges);
+      }
+      return summarizeAccuracyRanges(ranges);
+    };
+
+    const baselineSummary = await evaluate(job.base_params);
+    job.baseline = {
+      params: job.base_params,
+      summary: baselineSummary,
+      score: paramSearchScore(baselineSummary, job.metric)
+    };
+
+    const scored = [];
+    for (const candidate of candidates) {
+      const params = { ...job.base_params, ...candidate };
+      const summary = await evaluate(params);
+      scored.push({ params, summary, score: paramSearchScore(summary, job.metric) });
+      job.progress.evaluated++;
+      // Yield between candidates so ingestion requests are not starved
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    scored.sort((a, b) => a.score - b.score);
+    job.results = scored.slice(0, job.top_n);
+    job.best = scored[0] || null;
+
+    if (job.save_best && job.best) {
+      job.saved = [];
+      for (const target of job.save_to) {
+        const row = await saveStepCounterParams(target.collar_id, target.session_id, job.best.params);
+        job.saved.push({ collar_id: target.collar_id, session_id: target.session_id, params: row });
+      }
+    }
+
+    job.status = 'completed';
+  } catch (err) {
+    console.error(`[Param Search] Job ${job.job_id} failed`, err);
+    job.status = 'failed';
+    job.error = err.message;
+  } finally {
+    job.finished_at = new Date().toISOString();
+  }
+}
+
+/* -----------------------------
+   Session export (CSV / NDJSON / Arrow IPC stream)
+   Stored chunks are read in id (upload) order, EXPORT_CHUNK_BATCH at a time, decoded and
+   written out before the next batch is read, waiting for the client to drain in between,
+   so a session of any length is exported without buffering it.
+   ----------------------------- */
+const EXPORT_FORMATS = {
+  csv: { content_type: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { content_type: 'application/x-ndjson', extension: 'ndjson' },
+  arrow: { content_type: 'application/vnd.apache.arrow.stream', extension: 'arrows' }
+};
+const EXPORT_CHUNK_BATCH = 20;
+
+// Column name + type per exported table (the same columns in every format)
+const EXPORT_TABLES = {
+  samples: [
+    ['chunk_id', 'int'], ['sample_number', 'int'], ['timestamp', 'timestamp'], ['timestamp_ms_dev', 'int'],
+    ['ax', 'float32'], ['ay', 'float32'], ['az', 'float32'],
+    ['gx', 'float32'], ['gy', 'float32'], ['gz', 'float32'],
+    ['mx', 'float32'], ['my', 'float32'], ['mz', 'float32']
+  ],
+  temperatures: [
+    ['chunk_id', 'int'], ['timestamp', 'timestamp'], ['temp_c', 'float'], ['core_temp_c', 'float']
+  ],
+  chunks: [
+    ['chunk_id', 'int'], ['chunk_key', 'string'], ['received_at', 'timestamp'],
+    ['first_sample_number', 'int'], ['last_sample_number', 'int'], ['num_samples', 'int'],
+    ['format_version', 'int'], ['period_ms', 'float'],
+    ['steps_in_chunk', 'int'], ['walking_steps_in_chunk', 'int'], ['running_steps_in_chunk', 'int'],
+    ['leg_shake_removed_in_chunk', 'int'], ['cumulative_steps', 'int'], ['samples_processed', 'int'],
+    ['temp_avg_c', 'float'], ['temp_core_avg_c', 'float']
+  ]
+};
+// NDJSON record type per table (table=all interleaves them)
+const EXPORT_RECORD_TYPES = { samples: 'sample', temperatures: 'temperature', chunks: 'chunk' };
+
+const EXPORT_ARROW_TYPES = {
+  int: () => new Int64(),
+  float: () => new Float64(),
+  float32: () => new Float32(),
+  string: () => new Utf8(),
+  timestamp: () => new TimestampMillisecond('UTC')
+};
+
+const exportNumber = v => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// Cell value for CSV / NDJSON (timestamps as ISO strings)
+function exportTextValue(type, value) {
+  if (value === null || value === undefined) return null;
+  return type === 'timestamp' ? new Date(value).toISOString() : value;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Rows of each table for one stored chunk. `ctx` carries the session clock (advanced to
+ * each chunk's own real_time anchor, as during ingestion) and the calibration model.
+ */
+function exportChunkRows(row, tables, ctx) {
+  const out = { samples: [], temperatures: [], chunks: [] };
+  const metric = row.output_metric || {};
+  const chunk_id = Number(row.id);
+
+  let decoded = null;
+  if (tables.includes('samples') || tables.includes('chunks')) {
+    try {
+      decoded = decodeChunkJson(storedChunkToJson(row), { strict: false });
+    } catch (err) {
+      console.warn(`[Export] Chunk ${row.id} could not be decoded: ${err.message}`);
+    }
+  }
+
+  if (tables.includes('samples') && decoded) {
+    const { mapped, mapping } = mapSamplesToTimestamps(decoded, ctx.clock);
+    if (mapping) ctx.clock = mapping;
+    decoded.samples.forEach((s, i) => {
+      out.samples.push({
+        chunk_id,
+        sample_number: s.sample_number,
+        timestamp: mapped[i].ts,
+        timestamp_ms_dev: s.timestamp_ms_dev,
+        ax: s.ax, ay: s.ay, az: s.az,
+        gx: s.gx, gy: s.gy, gz: s.gz,
+        mx: s.mx ?? null, my: s.my ?? null, mz: s.mz ?? null
+      });
+    });
+  }
+
+  if (tables.includes('temperatures')) {
+    for (const r of expandTemperatureReadings(row.temp_data, row.temp_first_timestamp)) {
+      out.temperatures.push({
+        chunk_id,
+        timestamp: r.ts,
+        temp_c: r.temp_c,
+        core_temp_c: roundTemp(estimateCoreTemperature(ctx.calibration, r.temp_c))
+      });
+    }
+  }
+
+  if (tables.includes('chunks')) {
+    out.chunks.push({
+      chunk_id,
+      chunk_key: row.chunk_key,
+      received_at: new Date(row.created_at).getTime(),
+      first_sample_number: exportNumber(row.first_sample_number),
+      last_sample_number: exportNumber(row.last_sample_number),
+      num_samples: exportNumber(row.num_samples),
+      format_version: decoded ? decoded.format_version : exportNumber(metric.format_version),
+      period_ms: exportNumber(row.nominal_period_ms),
+      steps_in_chunk: exportNumber(metric.steps_in_chunk),
+      walking_steps_in_chunk: exportNumber(metric.walking_steps_in_chunk),
+      running_steps_in_chunk: exportNumber(metric.running_steps_in_chunk),
+      leg_shake_removed_in_chunk: exportNumber(metric.leg_shake_removed_in_chunk),
+      cumulative_steps: exportNumber(metric.cumulative_steps),
+      samples_processed: exportNumber(metric.samples_processed),
+      temp_avg_c: exportNumber(metric.temp_avg_c),
+      temp_core_avg_c: exportNumber(metric.temp_core_avg_c)
+    });
+  }
+  return out;
+}
+
+function arrowSchemaFor(table) {
+  return new Schema(EXPORT_TABLES[table].map(([name, type]) => new Field(name, EXPORT_ARROW_TYPES[type](), true)));
+}
+
+function arrowRecordBatch(schema, table, rows) {
+  const children = EXPORT_TABLES[table].map(([name, type]) => {
+    const values = rows.map(r => {
+      const v = r[name];
+      if (v === null || v === undefined) return null;
+      return type === 'int' ? BigInt(Math.trunc(v)) : v;
+    });
+    return vectorFromArray(values, EXPORT_ARROW_TYPES[type]()).data[0];
+  });
+  return new RecordBatch(schema, makeData({
+    type: new Struct(schema.fields),
+    length: rows.length,
+    nullCount: 0,
+    children
+  }));
+}
+
+// Resolve once `res` can take more data, or the client went away
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream a session's stored chunks as `format` to `res`. `table` is samples, temperatures,
+ * chunks, or all (NDJSON only: each line tagged with `type`). Headers are sent before the first
+ * chunk is read, so later failures can only cut the stream short.
+ */
+async function streamSessionExport(res, collar, session_id, format, table) {
+  const tables = table === 'all' ? Object.keys(EXPORT_TABLES) : [table];
+  const ctx = {
+    clock: sessionClock(collar.mapping_json, session_id),
+    calibration: tables.includes('temperatures') ? await getCalibrationModel(collar, session_id) : null
+  };
+  const needsRaw = tables.includes('samples') || tables.includes('chunks');
+
+  const safeName = `${collar.collar_id}_${session_id}_${table}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].content_type);
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${EXPORT_FORMATS[format].extension}"`);
+  res.flushHeaders();
+
+  let arrowWriter = null;
+  let arrowSchema = null;
+  if (format === 'arrow') {
+    arrowSchema = arrowSchemaFor(table);
+    arrowWriter = new RecordBatchStreamWriter();
+    arrowWriter.toNodeStream().pipe(res);
+    // Schema message even if the session has no data
+    arrowWriter.reset(undefined, arrowSchema);
+  } else if (format === 'csv') {
+    res.write(EXPORT_TABLES[table].map(([name]) => name).join(',') + '\n');
+  }
+
+  let lastId = 0;
+  let exportedChunks = 0;
+  let aborted = false;
+  for (;;) {
+    if (res.destroyed) {
+      aborted = true;
+      break;
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, chunk_key, created_at, start_sample, num_samples, nominal_period_ms,
+              real_time_iso, temp_first_timestamp, temp_data, first_sample_number, last_sample_number,
+              output_metric - 'activity_timeline' - 'motion_timeline' AS output_metric
+              ${needsRaw ? ', raw_base64_json, raw_imu_base64' : ''}
+         FROM collar_chunks
+        WHERE collar_id = $1 AND session_id = $2 AND id > $3
+        ORDER BY id ASC
+        LIMIT $4`,
+      [collar.collar_id, session_id, lastId, EXPORT_CHUNK_BATCH]
+    );
+    if (rows.length === 0) break;
+    lastId = rows[rows.length - 1].id;
+    exportedChunks += rows.length;
+
+    const batch = { samples: [], temperatures: [], chunks: [] };
+    const lines = [];
+    for (const row of rows) {
+      const chunkRows = exportChunkRows(row, tables, ctx);
+      for (const t of tables) {
+        if (format === 'arrow') {
+          batch[t].push(...chunkRows[t]);
+          continue;
+        }
+        for (const r of chunkRows[t]) {
+          const cells = EXPORT_TABLES[t].map(([name, type]) => [name, exportTextValue(type, r[name])]);
+          lines.push(format === 'csv'
+            ? cells.map(([, v]) => csvCell(v)).join(',')
+            : JSON.stringify(table === 'all'
+              ? { type: EXPORT_RECORD_TYPES[t], ...Object.fromEntries(cells) }
+              : Object.fromEntries(cells)));
+        }
+      }
+    }
+
+    let writable;
+    if (format === 'arrow') {
+      if (batch[table].length) arrowWriter.write(arrowRecordBatch(arrowSchema, table, batch[table]));
+      writable = !res.writableNeedDrain;
+    } else {
+      writable = lines.length ? res.write(lines.join('\n') + '\n') : true;
+    }
+    if (!writable) await waitForDrain(res);
+    if (rows.length < EXPORT_CHUNK_BATCH) break;
+  }
+
+  if (arrowWriter) arrowWriter.close();
+  else res.end();
+  return { chunks: exportedChunks, aborted };
+}
+
+/* -----------------------------
+   Bulk import of recorded sessions
+   Chunk files copied off the collar's SD card (PUT /chunks JSON, compact binary or CBOR),
+   from a directory or a .tar / .tar.gz / .zip archive under IMPORT_ROOT, are ingested into
+   a new session through the same decode / clock / step-counting path as uploads. Files go
+   in name order (numeric-aware, so chunk_2 before chunk_10); each file is one transaction
+   that also moves the import's checkpoint past it, so a failed import resumes at the
+   first file not yet ingested.
+   ----------------------------- */
+const IMPORT_ROOT = path.resolve(process.env.IMPORT_ROOT || path.join(__dirname, 'imports'));
+const IMPORT_UPLOAD_DIR = 'uploads';                      // POST /imports/archives, under IMPORT_ROOT
+const IMPORT_UNPACK_DIR = path.join(os.tmpdir(), 'collar-imports');   // .tar.gz unpacked to .tar
+const IMPORT_MAX_ARCHIVE_BYTES = 256 * 1024 * 1024;
+const IMPORT_MAX_UNPACKED_BYTES = 1024 * 1024 * 1024;     // .tar.gz after gunzip
+const IMPORT_MAX_FILE_BYTES = 20 * 1024 * 1024;           // same as a PUT /chunks body
+const IMPORT_MAX_ERRORS = 100;                            // chunk / file errors kept in progress
+const IMPORT_ARCHIVE_TYPES = { '.tar': 'tar', '.tar.gz': 'tgz', '.tgz': 'tgz', '.zip': 'zip' };
+const IMPORT_FILE_TYPES = { '.json': 'json', '.bin': 'binary', '.mpck': 'binary', '.cbor': 'cbor' };
+const IMPORT_UPLOAD_TYPES = {
+  'application/x-tar': '.tar',
+  'application/gzip': '.tar.gz',
+  'application/x-gzip': '.tar.gz',
+  'application/zip': '.zip'
+};
+
+const runningImports = new Set();   // import_ids this instance is working on
+
+function importTypeOf(name, types) {
+  const lower = name.toLowerCase();
+  const ext = Object.keys(types).find(e => lower.endsWith(e));
+  return ext ? types[ext] : null;
+}
+
+// Absolute path of `source` inside IMPORT_ROOT, or null when it points outside it
+function resolveImportPath(source) {
+  if (typeof source !== 'string' || !source.trim()) return null;
+  const full = path.resolve(IMPORT_ROOT, source);
+  return full.startsWith(IMPORT_ROOT + path.sep) ? full : null;
+}
+
+// Up to `length` bytes of a file from `position`
+async function readFileRange(fullPath, position, length) {
+  const fh = await fs.promises.open(fullPath, 'r');
+  try {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buf, 0, length, position);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * Regular files of a tar archive (ustar, GNU long names, pax path headers) as
+ * [{ name, size, read() }]. Only the headers are read here; each file's data is read
+ * from the archive when the file is imported.
+ */
+async function readTarEntries(fullPath) {
+  const fh = await fs.promises.open(fullPath, 'r');
+  try {
+    const { size: total } = await fh.stat();
+    const entries = [];
+    const header = Buffer.alloc(512);
+    let offset = 0;
+    let longName = null;
+    while (offset + 512 <= total) {
+      await fh.read(header, 0, 512, offset);
+      if (header.every(b => b === 0)) break;   // end-of-archive block
+
+      const field = (start, len) => {
+        const raw = header.subarray(start, start + len);
+        const end = raw.indexOf(0);
+        return raw.subarray(0, end === -1 ? len : end).toString('utf8');
+      };
+      const size = parseInt(field(124, 12).trim() || '0', 8);
+      if (!Number.isFinite(size) || size < 0) throw new Error(`tar: bad entry size at offset ${offset}`);
+      const dataStart = offset + 512;
+      if (dataStart + size > total) throw new Error('tar: archive is truncated');
+      offset = dataStart + Math.ceil(size / 512) * 512;
+
+      const type = field(156, 1) || '0';
+      if (type === 'L' || type === 'x') {
+        if (size > IMPORT_MAX_FILE_BYTES) throw new Error(`tar: oversized ${type} header at offset ${dataStart - 512}`);
+        const data = (await readFileRange(fullPath, dataStart, size)).toString('utf8');
+        if (type === 'L') {
+          longName = data.replace(/\0+$/, '');
+        } else {
+          const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data);
+          if (match) longName = match[1];
+        }
+        continue;
+      }
+      if (type !== '0' && type !== '7') {
+        longName = null;
+        continue;
+      }
+      const prefix = header.toString('latin1', 257, 263) === 'ustar\0' ? field(345, 155) : '';
+      const name = (longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100))).replace(/^\.\//, '');
+      longName = null;
+      entries.push({ name, size, read: () => readFileRange(fullPath, dataStart, size) });
+    }
+    return entries;
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * Files of a zip archive (stored or deflated; zip64 is not supported) as
+ * [{ name, size, read() }]. Only the central directory is read here; each file is read
+ * from the archive and inflated when it is imported.
+ */
+async function readZipEntries(fullPath) {
+  const { size: total } = await fs.promises.stat(fullPath);
+  const tailStart = Math.max(0, total - 22 - 0xFFFF);
+  const tail = await readFileRange(fullPath, tailStart, total - tailStart);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('zip: end of central directory not found');
+  const count = tail.readUInt16LE(eocd + 10);
+  const dirSize = tail.readUInt32LE(eocd + 12);
+  const dirOffset = tail.readUInt32LE(eocd + 16);
+  if (count === 0xFFFF || dirOffset === 0xFFFFFFFF) throw new Error('zip: zip64 archives are not supported');
+  if (dirOffset + dirSize > total) throw new Error('zip: archive is truncated');
+  const dir = await readFileRange(fullPath, dirOffset, dirSize);
+
+  const entries = [];
+  let offset = 0;
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > dir.length || dir.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('zip: bad central directory');
+    }
+    const method = dir.readUInt16LE(offset + 10);
+    const compressedSize = dir.readUInt32LE(offset + 20);
+    const size = dir.readUInt32LE(offset + 24);
+    const nameLen = dir.readUInt16LE(offset + 28);
+    const localOffset = dir.readUInt32LE(offset + 42);
+    const name = dir.toString('utf8', offset + 46, offset + 46 + nameLen);
+    offset += 46 + nameLen + dir.readUInt16LE(offset + 30) + dir.readUInt16LE(offset + 32);
+    if (name.endsWith('/')) continue;
+
+    entries.push({
+      name,
+      size,
+      read: async () => {
+        const local = await readFileRange(fullPath, localOffset, 30);
+        if (local.length < 30 || local.readUInt32LE(0) !== 0x04034b50) {
+          throw new Error(`zip: bad local header for ${name}`);
+        }
+        const dataStart = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+        if (dataStart + compressedSize > total) throw new Error('zip: archive is truncated');
+        const raw = await readFileRange(fullPath, dataStart, compressedSize);
+        if (method === 0) return raw;
+        if (method === 8) {
+          return new Promise((resolve, reject) => zlib.inflateRaw(
+            raw, { maxOutputLength: IMPORT_MAX_FILE_BYTES }, (err, out) => (err ? reject(err) : resolve(out))
+          ));
+        }
+        throw new Error(`zip: compression method ${method} is not supported`);
+      }
+    });
+  }
+  return entries;
+}
+
+// Where a .tar.gz is unpacked: one .tar per archive path, size and modification time
+function unpackedArchivePath(fullPath, stat) {
+  const key = crypto.createHash('sha1').update(`${fullPath}:${stat.size}:${stat.mtimeMs}`).digest('hex');
+  return path.join(IMPORT_UNPACK_DIR, `${key}.tar`);
+}
+
+/**
+ * Stream-decompress a .tar.gz to a .tar under IMPORT_UNPACK_DIR (at most
+ * IMPORT_MAX_UNPACKED_BYTES) and return its path. An archive already unpacked, e.g. when
+ * its import is listed again on resume, is not decompressed again.
+ */
+async function unpackTarGz(fullPath, stat) {
+  const target = unpackedArchivePath(fullPath, stat);
+  try {
+    await fs.promises.access(target);
+    return target;
+  } catch (_) {}
+
+  await fs.promises.mkdir(IMPORT_UNPACK_DIR, { recursive: true });
+  const partial = `${target}.${crypto.randomBytes(4).toString('hex')}.partial`;
+  let unpacked = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      unpacked += chunk.length;
+      if (unpacked > IMPORT_MAX_UNPACKED_BYTES) {
+        return callback(new Error(`unpacks to more than ${IMPORT_MAX_UNPACKED_BYTES} bytes`));
+      }
+      callback(null, chunk);
+    }
+  });
+  try {
+    await pipeline(fs.createReadStream(fullPath), zlib.createGunzip(), limit, fs.createWriteStream(partial));
+    await fs.promises.rename(partial, target);
+  } catch (e) {
+    await fs.promises.rm(partial, { force: true });
+    throw e;
+  }
+  return target;
+}
+
+// Drop the unpacked copy of a .tar.gz source once its import no longer needs it
+async function discardUnpackedArchive(source) {
+  const fullPath = resolveImportPath(source);
+  if (!fullPath || importTypeOf(fullPath, IMPORT_ARCHIVE_TYPES) !== 'tgz') return;
+  try {
+    await fs.promises.rm(unpackedArchivePath(fullPath, await fs.promises.stat(fullPath)), { force: true });
+  } catch (e) {
+    console.warn(`[Import] could not remove the unpacked copy of ${source}: ${e.message}`);
+  }
+}
+
+/**
+ * Files of an import source (directory or archive path relative to IMPORT_ROOT):
+ * { files, skipped } with files the chunk files in import order ([{ name, size, read() }])
+ * and skipped the names of everything else (other extensions, dotfiles).
+ */
+async function listImportSource(source) {
+  const fullPath = resolveImportPath(source);
+  if (!fullPath) throw new Error('source must be a path inside the import directory');
+
+  const stat = await fs.promises.stat(fullPath);
+  let all;
+  if (stat.isDirectory()) {
+    all = [];
+    const walk = async (dir, prefix) => {
+      for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(full, name);
+        } else if (entry.isFile()) {
+          const { size } = await fs.promises.stat(full);
+          all.push({ name, size, read: () => fs.promises.readFile(full) });
+        }
+      }
+    };
+    await walk(fullPath, '');
+  } else {
+    const type = importTypeOf(fullPath, IMPORT_ARCHIVE_TYPES);
+    if (!type) throw new Error(`${source} is neither a directory nor a .tar, .tar.gz or .zip archive`);
+    if (type === 'zip') all = await readZipEntries(fullPath);
+    else all = await readTarEntries(type === 'tgz' ? await unpackTarGz(fullPath, stat) : fullPath);
+  }
+
+  const files = [];
+  const skipped = [];
+  for (const file of all) {
+    const chunkFile = importTypeOf(file.name, IMPORT_FILE_TYPES) && !path.posix.basename(file.name).startsWith('.');
+    (chunkFile ? files : skipped).push(file);
+  }
+  files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return { files, skipped: skipped.map(file => file.name) };
+}
+
+/**
+ * Chunks in one import file as [{ key, chunkObj }]. A .json file holds one chunk, an array
+ * of chunks or a PUT /chunks body ({ data: { key: chunk } }); .bin / .mpck and .cbor files
+ * use the PUT /chunks/binary encodings. Keys default to chunk_key, else `<file>#<index>`.
+ */
+function parseImportFile(name, buf) {
+  const type = importTypeOf(name, IMPORT_FILE_TYPES);
+  let items;
+  if (type === 'json') {
+    const parsed = JSON.parse(buf.toString('utf8'));
+    if (parsed && !Array.isArray(parsed) && parsed.data && typeof parsed.data === 'object') {
+      items = Object.entries(parsed.data).map(([key, chunkObj]) => ({ key, chunkObj }));
+    } else {
+      items = (Array.isArray(parsed) ? parsed : [parsed]).map(chunkObj => ({ key: null, chunkObj }));
+    }
+  } else if (type === 'cbor') {
+    items = parseCborChunks(buf).map(chunkObj => ({ key: null, chunkObj }));
+  } else {
+    items = [{ key: null, chunkObj: parseBinaryChunk(buf) }];
+  }
+
+  const seen = new Set();
+  return items.map(({ key, chunkObj }, i) => {
+    let k = key || (chunkObj && chunkObj.chunk_key) || `${name}#${i}`;
+    if (seen.has(k)) k = `${k}#${i}`;
+    seen.add(k);
+    return { key: k, chunkObj };
+  });
+}
+
+function addImportError(progress, error) {
+  if (progress.errors.length < IMPORT_MAX_ERRORS) progress.errors.push(error);
+}
+
+/**
+ * Ingest one file of an import in a single transaction that also moves the checkpoint
+ * past it. Unreadable files and rejected chunks are counted in job.progress; only
+ * database errors are thrown (the file is retried on resume).
+ */
+async function importSessionFile(job, file, fileIndex) {
+  const progress = JSON.parse(JSON.stringify(job.progress));
+  progress.current_file = file.name;
+
+  const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [job.collar_id]);
+  if (collarRows.length === 0) throw new Error(`collar ${job.collar_id} no longer exists`);
+  const collar = collarRows[0];
+
+  let items = [];
+  try {
+    if (file.size > IMPORT_MAX_FILE_BYTES) throw new Error(`larger than ${IMPORT_MAX_FILE_BYTES} bytes`);
+    items = parseImportFile(file.name, await file.read());
+  } catch (e) {
+    progress.files_failed++;
+    addImportError(progress, { file: file.name, key: null, error: `unreadable file: ${e.message}` });
+  }
+
+  const entries = [];
+  for (const { key, chunkObj } of items) {
+    if (chunkObj && chunkObj.collar_id && chunkObj.collar_id !== job.collar_id) {
+      progress.chunks_failed++;
+      addImportError(progress, { file: file.name, key, error: `chunk is from collar ${chunkObj.collar_id}` });
+      continue;
+    }
+    let decoded;
+    try {
+      decoded = decodeChunkJson(chunkObj);
+    } catch (e) {
+      progress.chunks_failed++;
+      addImportError(progress, { file: file.name, key, error: e.message, reject_reason: e.reject_reason || null });
+      continue;
+    }
+    const identity = chunkIdentity(decoded, key);
+    const stored = await findDuplicateChunk(job.collar_id, job.session_id, identity);
+    const repeated = entries.find(other => !other.stored && isSameChunk(other.identity, identity));
+    entries.push({ key, decoded, identity, stored, repeatOf: repeated ? repeated.key : null });
+  }
+  progress.chunks_duplicate += entries.filter(entry => entry.stored || entry.repeatOf).length;
+
+  const results = {};
+  const restore = snapshotSessionMemory(collar, job.session_id);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Imported sessions are inactive recordings: their clock must not move the collar's
+    const processed = await ingestChunkEntries(client, collar, job.session_id, entries, results, { liveSession: false });
+    for (const entry of processed) {
+      const result = results[entry.key];
+      if (result.ok && result.duplicate) {
+        progress.chunks_duplicate++;
+      } else if (result.ok) {
+        progress.chunks_processed++;
+        progress.samples_processed += entry.identity.num_samples;
+        progress.cumulative_steps = result.outputMetric.cumulative_steps;
+      } else {
+        progress.chunks_failed++;
+        addImportError(progress, { file: file.name, key: entry.key, error: result.error });
+      }
+    }
+    progress.files_done = fileIndex + 1;
+
+    await client.query(
+      `UPDATE session_imports SET next_file = $2, progress = $3, updated_at = NOW()
+        WHERE import_id = $1`,
+      [job.import_id, fileIndex + 1, progress]
+    );
+    await client.query('COMMIT');
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    restore();
+    throw e;
+  } finally {
+    client.release();
+  }
+  job.progress = progress;
+  job.next_file = fileIndex + 1;
+}
+
+/**
+ * Run (or resume) an import from job.next_file to the end of job.files. The outcome is
+ * recorded on the session_imports row: completed, or failed with the error. The caller
+ * reserves job.import_id in runningImports; it is released here when the run ends.
+ */
+async function runSessionImport(job) {
+  runningImports.add(job.import_id);
+  const started = Date.now();
+  try {
+    await pool.query(
+      `UPDATE session_imports SET status = 'running', error = NULL, updated_at = NOW() WHERE import_id = $1`,
+      [job.import_id]
+    );
+    console.log(`[Import] ${job.import_id} ${job.collar_id}:${job.session_id} from ${job.source}, ` +
+                `file ${job.next_file + 1}/${job.files.length}`);
+
+    const { files } = await listImportSource(job.source);
+    const byName = new Map(files.map(file => [file.name, file]));
+    for (let i = job.next_file; i < job.files.length; i++) {
+      const file = byName.get(job.files[i]);
+      if (!file) throw new Error(`${job.files[i]} is no longer in ${job.source}`);
+      touchSession(job.collar_id, job.session_id);
+      await withCollarIngestLock(job.collar_id, () => importSessionFile(job, file, i));
+      if ((i + 1) % 100 === 0) {
+        console.log(`[Import] ${job.import_id} ${i + 1}/${job.files.length} files, ` +
+                    `${job.progress.chunks_processed} chunks, ${job.progress.cumulative_steps} steps`);
+      }
+      // Leave room for live uploads between files
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    // Count the samples still held in the session's reorder window
+    await withCollarIngestLock(job.collar_id, () => flushReorderBuffer(job.collar_id, job.session_id, { liveSession: false }));
+    await pool.query(
+      `UPDATE session_imports SET status = 'completed', finished_at = NOW(), updated_at = NOW()
+        WHERE import_id = $1`,
+      [job.import_id]
+    );
+    await discardUnpackedArchive(job.source);
+    console.log(`[Import] ${job.import_id} completed in ${((Date.now() - started) / 1000).toFixed(1)}s: ` +
+                `${job.progress.chunks_processed} chunks, ${job.progress.chunks_duplicate} duplicates, ` +
+                `${job.progress.chunks_failed} failed`);
+  } catch (err) {
+    console.error(`[Import] ${job.import_id} failed at file ${job.next_file + 1}/${job.files.length}`, err);
+    try {
+      await pool.query(
+        `UPDATE session_imports SET status = 'failed', error = $2, updated_at = NOW() WHERE import_id = $1`,
+        [job.import_id, err.message]
+      );
+    } catch (e) {
+      console.error(`[Import] ${job.import_id} could not record the failure`, e);
+    }
+  } finally {
+    runningImports.delete(job.import_id);
+  }
+}
+
+// API view of a session_imports row (without the file list)
+function importSummary(row) {
+  return {
+    import_id: row.import_id,
+    collar_id: row.collar_id,
+    session_id: row.session_id,
+    source: row.source,
+    status: row.status,
+    running: runningImports.has(row.import_id),
+    files_total: row.files.length,
+    next_file: row.next_file,
+    progress: row.progress,
+    error: row.error,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    finished_at: row.finished_at
+  };
+}
+
+/* -----------------------------
+   Routes
+   ----------------------------- */
+
+/**
+ * POST /collars
+ * Create collar if missing. If body.new_session === true, create & activate session and return session_id.
+ */
+app.post('/collars', requireAuth('user'), async (req, res) => {
+  try {
+    const body = req.body;
+    if (!body || !body.collar_id) {
+      return res.status(400).json({ error: 'collar_id required' });
+    }
+    if (await denyOtherExistingCollar(req, res, body.collar_id)) return;
+
+    // ⭐ Create new session when user explicitly asks
+    if (body.new_session === true || body.new_session === "true" || body.new_session === 1) {
+      // FIRST: Update collar with new dog details
+      const collar = await upsertCollarCreateOnly(body);
+      await grantCollarToCaller(req.auth, body.collar_id);
+
+      // THEN: Capture dog details as snapshot for this session
+      const dogMetadata = dogMetadataSnapshot(collar);
+
+      // Switched under the collar's ingest lock, so no upload lands in the ending session mid-flush
+      const session_id = await withCollarIngestLock(body.collar_id, async () => {
+        // Count the samples the ending session still holds in its reorder window
+        const previousSession = await getActiveSessionForCollar(body.collar_id);
+        if (previousSession) await flushReorderBuffer(body.collar_id, previousSession);
+
+        // Create new session with updated dog metadata snapshot
+        return generateAndInsertSession(body.collar_id, 'user_request', dogMetadata);
+      });
+      return res.json({
+        ok: true,
+        collar,
+        session_id,
+        message: 'Dog details updated and new session created with snapshot.'
+      });
+    }
+
+    // Default: Update collar details WITHOUT creating a new session
+    const collar = await upsertCollarCreateOnly(body);
+    await grantCollarToCaller(req.auth, body.collar_id);
+    return res.json({ ok: true, collar, message: 'Dog details updated' });
+
+  } catch (err) {
+    console.error('POST /collars error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /collars (a user token sees the collars granted to it)
+app.get('/collars', requireAuth('user'), async (req, res) => {
+  try {
+    const granted = req.auth && req.auth.role === 'user' ? req.auth.collar_ids : null;
+    const { rows } = await pool.query(
+      `SELECT collar_id, dog_name, breed, created_at, output_metric FROM collars
+        WHERE $1::text[] IS NULL OR collar_id = ANY($1::text[])
+        ORDER BY created_at DESC`,
+      [granted]
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('GET /collars error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /collars/:collar_id
+app.get('/collars/:collar_id', requireAuth('user'), async (req, res) => {
+  try {
+    const cid = req.params.collar_id;
+    const sessionId = req.query.session_id;  // Optional: filter by session
+    const includeTemperatures = req.query.include_temperatures !== 'false';
+    const fromMs = req.query.from ? Date.parse(req.query.from) : 0;
+    const toMs = req.query.to ? Date.parse(req.query.to) : Infinity;
+    // Without limit or cursor the whole (from/to filtered) list is returned, unpaged
+    const paged = req.query.limit !== undefined || req.query.cursor !== undefined;
+    const limit = paged
+      ? Math.min(Math.max(parseInt(req.query.limit, 10) || TEMPERATURE_LIST_DEFAULT_LIMIT, 1), TEMPERATURE_LIST_MAX_LIMIT)
+      : Infinity;
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+      return res.status(400).json({ error: 'from and to must be valid timestamps with from < to' });
+    }
+    const cursor = req.query.cursor !== undefined ? decodeTemperatureCursor(req.query.cursor) : null;
+    if (req.query.cursor !== undefined && !cursor) {
+      return res.status(400).json({ error: 'invalid cursor' });
+    }
+
+    // Fetch collar basic data
+    const collarRes = await pool.query(
+      'SELECT * FROM collars WHERE collar_id = $1',
+      [cid]
+    );
+
+    if (collarRes.rows.length === 0) {
+      return res.status(404).json({ error: 'not found' });
+    }
+
+    const collar = collarRes.rows[0];
+
+    // If sessionId provided, ensure it exists for this collar
+    if (sessionId) {
+      const { rows: sessionRows } = await pool.query(
+        'SELECT 1 FROM collar_sessions WHERE collar_id = $1 AND session_id = $2 LIMIT 1',
+        [cid, sessionId]
+      );
+      if (sessionRows.length === 0) {
+        return res.status(404).json({ error: 'session not found for this collar' });
+      }
+    }
+
+    // Session-scoped steps (sum of steps_in_chunk for this session)
+    let session_steps = null;
+    let sessionBreakdown = null;
+    if (sessionId) {
+      sessionBreakdown = await getSessionStepBreakdown(cid, sessionId);
+      session_steps = sessionBreakdown.steps;
+    }
+
+    // Build response with optional session-scoped steps
+    const responsePayload = { ...collar };
+
+    // temperature_list pages by reading timestamp: temp_c is the raw skin reading,
+    // core_temp_c applies each session's calibration model
+    if (includeTemperatures) {
+      const page = await loadTemperaturePage(collar, { sessionId, fromMs, toMs, limit, cursor });
+      responsePayload.temperature_list = page.temperature_list;
+      if (paged) {
+        responsePayload.temperature_page = {
+          from: new Date(fromMs).toISOString(),
+          to: Number.isFinite(toMs) ? new Date(toMs).toISOString() : null,
+          limit,
+          count: page.temperature_list.length,
+          has_more: page.has_more,
+          next_cursor: page.next_cursor
+        };
+      }
+    }
+
+    if (sessionId) {
+      responsePayload.core_calibration = calibrationSummary(await getCalibrationModel(collar, sessionId));
+    }
+
+    if (session_steps !== null) {
+      responsePayload.session_steps = session_steps;
+      responsePayload.session_step_breakdown = sessionBreakdown;
+
+      // If stored per-session metrics exist, surface that session's block
+      const sessionsMetric = (collar.output_metric || {}).sessions || {};
+      const sessionBlock = sessionsMetric[sessionId] || {};
+
+      responsePayload.output_metric = {
+        ...collar.output_metric,
+        ...sessionBreakdown,
+        session_id: sessionId,
+        session_block: sessionBlock
+      };
+    }
+
+    return res.json(responsePayload);
+
+  } catch (err) {
+    console.error("GET /collars/:collar_id error", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /collars/:collar_id/events
+ * Scratching / head-shake events with per-day counts.
+ * Query: type=scratch|head_shake (optional), from, to (ISO, on start_time), session_id, limit (default 500)
+ */
+app.get('/collars/:collar_id/events', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id } = req.params;
+    const { type, from, to, session_id } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+
+    if (type && !EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${EVENT_TYPES.join(', ')}` });
+    }
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from/to must be ISO timestamps' });
+    }
+
+    const { rows: collarRows } = await pool.query('SELECT 1 FROM collars WHERE collar_id = $1', [collar_id]);
+    if (collarRows.length === 0) {
+      return res.status(404).json({ error: 'not found' });
+    }
+
+    const conditions = ['collar_id = $1'];
+    const values = [collar_id];
+    if (type) {
+      values.push(type);
+      conditions.push(`type = $${values.length}`);
+    }
+    if (session_id) {
+      values.push(session_id);
+      conditions.push(`session_id = $${values.length}`);
+    }
+    if (from) {
+      values.push(from);
+      conditions.push(`start_time >= $${values.length}`);
+    }
+    if (to) {
+      values.push(to);
+      conditions.push(`start_time < $${values.length}`);
+    }
+    const where = conditions.join(' AND ');
+
+    const { rows: events } = await pool.query(
+      `SELECT id, session_id, chunk_id, type, start_time, end_time, duration_ms, intensity, peak_gyro
+         FROM collar_events
+        WHERE ${where}
+        ORDER BY start_time DESC
+        LIMIT ${limit}`,
+      values
+    );
+
+    const { rows: dailyRows } = await pool.query(
+      `SELECT to_char(start_time AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day,
+              type,
+              COUNT(*)::int AS count,
+              SUM(duration_ms)::bigint AS total_duration_ms
+         FROM collar_events
+        WHERE ${where}
+        GROUP BY 1, 2
+        ORDER BY 1 ASC`,
+      values
+    );
+
+    const byDay = new Map();
+    for (const row of dailyRows) {
+      if (!byDay.has(row.day)) {
+        byDay.set(row.day, { day: row.day, ...Object.fromEntries(EVENT_TYPES.map(t => [t, 0])), total_duration_ms: 0 });
+      }
+      const entry = byDay.get(row.day);
+      entry[row.type] = row.count;
+      entry.total_duration_ms += Number(row.total_duration_ms);
+    }
+
+    return res.json({
+      ok: true,
+      collar_id,
+      type: type || null,
+      events,
+      daily_counts: [...byDay.values()]
+    });
+  } catch (err) {
+    console.error('GET /collars/:collar_id/events error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /collars/:collar_id/alerts
+ * Fever / hypothermia alerts. Query: status=open|closed|pending (default open+closed), type, session_id, limit
+ */
+app.get('/collars/:collar_id/alerts', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id } = req.params;
+    const { status, type, session_id } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 2000);
+
+    if (status && !['open', 'closed', 'pending'].includes(status)) {
+      return res.status(400).json({ error: 'status must be open, closed or pending' });
+    }
+    if (type && !TEMPERATURE_ALERT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${TEMPERATURE_ALERT_TYPES.join(', ')}` });
+    }
+
+    const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [collar_id]);
+    if (collarRows.length === 0) {
+      return res.status(404).json({ error: 'not found' });
+    }
+
+    const conditions = ['collar_id = $1'];
+    const values = [collar_id];
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    } else {
+      conditions.push(`status IN ('open', 'closed')`);
+    }
+    if (type) {
+      values.push(type);
+      conditions.push(`type = $${values.length}`);
+    }
+    if (session_id) {
+      values.push(session_id);
+      conditions.push(`session_id = $${values.length}`);
+    }
+
+    const { rows } = await pool.query(
+      `SELECT * FROM temperature_alerts
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY started_at DESC
+        LIMIT ${limit}`,
+      values
+    );
+
+    const thresholds = await getTemperatureAlertThresholds(collarRows[0]);
+
+    return res.json({
+      ok: true,
+      collar_id,
+      thresholds,
+      open: rows.filter(r => r.status === 'open'),
+      closed: rows.filter(r => r.status === 'closed'),
+      pending: rows.filter(r => r.status === 'pending')
+    });
+  } catch (err) {
+    console.error('GET /collars/:collar_id/alerts error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /collars/:collar_id/timeseries
+ * Query: metric=steps|temp, bucket=1m|15m|1h|1d (default 1h), from, to (ISO, default last 24 h), session_id (optional)
+ * steps: step sum per bucket; temp: min/max/avg skin temperature and avg estimated core temperature per bucket
+ */
+app.get('/collars/:collar_id/timeseries', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id } = req.params;
+    const { metric, session_id } = req.query;
+    const bucket = req.query.bucket || '1h';
+
+    if (!TIMESERIES_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `metric must be one of ${TIMESERIES_METRICS.join(', ')}` });
+    }
+    const bucketMs = TIMESERIES_BUCKET_MS[bucket];
+    if (!bucketMs) {
+      return res.status(400).json({ error: `bucket must be one of ${Object.keys(TIMESERIES_BUCKET_MS).join(', ')}` });
+    }
+    const toMs = req.query.to ? Date.parse(req.query.to) : Date.now();
+    const fromMs = req.query.from ? Date.parse(req.query.from) : toMs - TIMESERIES_DEFAULT_RANGE_MS;
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+      return res.status(400).json({ error: 'from and to must be valid timestamps with from < to' });
+    }
+    if ((toMs - fromMs) / bucketMs > TIMESERIES_MAX_BUCKETS) {
+      return res.status(400).json({ error: `range too large for bucket ${bucket} (max ${TIMESERIES_MAX_BUCKETS} buckets)` });
+    }
+
+    const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [collar_id]);
+    if (collarRows.length === 0) {
+      return res.status(404).json({ error: 'not found' });
+    }
+
+    const values = [collar_id, new Date(fromMs).toISOString(), new Date(toMs).toISOString(), TIMESERIES_CHUNK_LOOKBACK_S];
+    let sessionFilter = '';
+    if (session_id) {
+      values.push(session_id);
+      sessionFilter = `AND session_id = $${values.length}`;
+    }
+    const columns = metric === 'steps'
+      ? `output_metric->'steps_in_chunk' AS steps_in_chunk, output_metric->'activity_timeline' AS activity_timeline`
+      : 'temp_data';
+    const { rows } = await pool.query(
+      `SELECT session_id, created_at, temp_first_timestamp, ${columns}
+         FROM collar_chunks
+        WHERE collar_id = $1 ${sessionFilter}
+          AND COALESCE(temp_first_timestamp, created_at) >= $2::timestamptz - make_interval(secs => $4)
+          AND COALESCE(temp_first_timestamp, created_at) < $3::timestamptz`,
+      values
+    );
+
+    const readings = [];
+    const calibrations = metric === 'temp'
+      ? await getCalibrationModels(collarRows[0], rows.map(row => row.session_id))
+      : new Map();
+    for (const row of rows) {
+      if (metric === 'steps') {
+        const fallbackTs = new Date(row.temp_first_timestamp || row.created_at).getTime();
+        readings.push(...chunkStepReadings(row.steps_in_chunk, row.activity_timeline, fallbackTs));
+        continue;
+      }
+      const model = calibrations.get(row.session_id);
+      for (const r of expandTemperatureReadings(row.temp_data, row.temp_first_timestamp)) {
+        readings.push({ ts: r.ts, temp_c: r.temp_c, core_c: estimateCoreTemperature(model, r.temp_c) });
+      }
+    }
+
+    return res.json({
+      ok: true,
+      collar_id,
+      session_id: session_id || null,
+      metric,
+      bucket,
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      buckets: aggregateTimeseries(metric, readings, fromMs, toMs, bucketMs)
+    });
+  } catch (err) {
+    console.error('GET /collars/:collar_id/timeseries error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /chunks
+ * ✅ FIXED: Prevents double-counting and memory leaks
+ * `data` may hold several chunks of one collar (a backlog upload). They are processed in
+ * sample order within one transaction, each behind a savepoint: a failing chunk is
+ * reported in `results` and rolled back without discarding the others.
+ * PUT /chunks/binary hands its parsed body to the same handler.
+ */
+async function putChunks(req, res) {
+  try {
+    const { data } = req.body;
+
+    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+      return res.status(400).json({ error: "data object required" });
+    }
+
+    const chunkKeys = Object.keys(data);
+    const collarIds = new Set(chunkKeys.map(key => data[key]?.collar_id));
+    if ([...collarIds].some(id => !id)) {
+      return res.status(400).json({ error: "collar_id missing inside chunk" });
+    }
+    if (collarIds.size > 1) {
+      return res.status(400).json({ error: "all chunks in one request must have the same collar_id" });
+    }
+    const collar_id = [...collarIds][0];
+    if (denyOtherCollar(req, res, collar_id)) return;
+    if (await denyUnsignedChunks(req, res, collar_id)) return;
+
+    return await withCollarIngestLock(collar_id, () => ingestChunkUpload(req, res, collar_id, chunkKeys));
+  } catch (err) {
+    console.error("PUT /chunks error", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Body of PUT /chunks once the request is validated, run under the collar's ingest lock.
+ * With new_session the session is created in the ingest transaction, which is rolled back
+ * (the previous session stays active) if none of the chunks can be stored.
+ */
+async function ingestChunkUpload(req, res, collar_id, chunkKeys) {
+  const { data, new_session } = req.body;
+  const isBatch = chunkKeys.length > 1;
+
+  // Check collar exists
+  const { rows: collarRows } = await pool.query(
+    "SELECT * FROM collars WHERE collar_id = $1",
+    [collar_id]
+  );
+
+  if (collarRows.length === 0) {
+    return res.status(404).json({
+      error: "collar not found; create collar first"
+    });
+  }
+
+  // Get existing active session
+  let session_id = await getActiveSessionForCollar(collar_id);
+
+  // Decode first: a retry (same chunk already stored in the active session) returns the
+  // original result without counting again or starting another session
+  const results = {};
+  const entries = [];
+  for (const key of chunkKeys) {
+    let decoded;
+    try {
+      decoded = decodeChunkJson(data[key]);
+    } catch (e) {
+      console.warn(`[Decode] ${collar_id} chunk ${key} rejected: ${e.message}`);
+      const rejection = { error: e.message, reject_reason: e.reject_reason || null };
+      if (!isBatch) return res.status(400).json(rejection);
+      results[key] = { ok: false, ...rejection };
+      continue;
+    }
+    const identity = chunkIdentity(decoded, key);
+    identity.signature_key_id = req.chunkSignature ? req.chunkSignature.key_id : null;
+    const stored = await findDuplicateChunk(collar_id, session_id, identity);
+    const repeated = entries.find(other => !other.stored && isSameChunk(other.identity, identity));
+    entries.push({ key, decoded, identity, stored, repeatOf: repeated ? repeated.key : null });
+  }
+  if (entries.length === 0) {
+    return res.status(400).json({ error: "no chunk in data could be decoded", results });
+  }
+
+  const storedEntries = entries.filter(entry => entry.stored);
+  for (const { key, stored } of storedEntries) {
+    console.log(`[Idempotency] ${collar_id}:${session_id} retry of chunk ${stored.id}, not stored again`);
+    results[key] = {
+      ok: true,
+      duplicate: true,
+      session_id_used: stored.session_id,
+      chunk_id: stored.id,
+      outputMetric: stored.output_metric
+    };
+  }
+  if (!isBatch && storedEntries.length) {
+    return res.json(results[chunkKeys[0]]);
+  }
+
+  // ✔ Only create new session IF user explicitly asks (and this isn't a retry of that request)
+  const startSession = new_session === true && storedEntries.length === 0;
+  if (startSession) {
+    // Count the samples the ending session still holds in its reorder window
+    if (session_id) await flushReorderBuffer(collar_id, session_id);
+  } else if (!session_id) {
+    // ❌ Do NOT create session automatically
+    return res.status(400).json({
+      error: "No active session. Call PUT /chunks with {new_session: true} to start a new session."
+    });
+  }
+
+  // -----------------------
+  // Process IMU, in sample order
+  // -----------------------
+  const collar = collarRows[0];
+  const client = await pool.connect();
+  let restoreBatch = null;
+  let pending;
+  try {
+    await client.query('BEGIN');
+    if (startSession) {
+      const previousSession = session_id;
+      // Created in this transaction, so it is not left behind if no chunk is stored
+      session_id = await generateAndInsertSession(collar_id, "manual", dogMetadataSnapshot(collar), { client });
+
+      // ✅ Clear old session MEMORY cache (DB records stay)
+      if (previousSession) {
+        const oldKey = `${collar_id}:${previousSession}`;
+        stepCounterBySession.delete(oldKey);
+        lastSampleNumberBySession.delete(oldKey);
+        reorderBufferBySession.delete(oldKey);
+        sessionLastAccessTime.delete(oldKey);
+        console.log(`[New Session] Cleared memory cache for ${oldKey}, DB records preserved`);
+      }
+    }
+    restoreBatch = snapshotSessionMemory(collar, session_id);
+    pending = await ingestChunkEntries(client, collar, session_id, entries, results, { stopOnError: !isBatch });
+    if (startSession && !pending.some(entry => results[entry.key].ok)) {
+      console.warn(`[New Session] ${collar_id}:${session_id} not started, none of its chunks could be stored`);
+      await client.query('ROLLBACK');
+      restoreBatch();
+      session_id = null;
+    } else {
+      await client.query('COMMIT');
+    }
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    if (restoreBatch) restoreBatch();
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  // ✅ Update session access time
+  if (session_id) touchSession(collar_id, session_id);
+
+  if (!isBatch) {
+    return res.json(results[chunkKeys[0]]);
+  }
+
+  for (const entry of entries.filter(e => e.repeatOf)) {
+    const original = results[entry.repeatOf];
+    results[entry.key] = original.ok ? { ...original, duplicate: true } : original;
+  }
+  const ordered = chunkKeys.map(key => [key, results[key]]);
+  const failed = ordered.filter(([, r]) => !r.ok).length;
+  const duplicates = ordered.filter(([, r]) => r.ok && r.duplicate).length;
+
+  return res.json({
+    ok: failed === 0,
+    session_id_used: session_id,
+    processed: ordered.length - failed - duplicates,
+    duplicates,
+    failed,
+    processing_order: pending.map(entry => entry.key),
+    results: Object.fromEntries(ordered)
+  });
+}
+
+app.put('/chunks', requireAuth('device'), verifyChunkSignature, putChunks);
+
+/**
+ * PUT /chunks/binary
+ * Compact upload for the collar's cellular link: application/octet-stream (one chunk,
+ * see parseBinaryChunk) or application/cbor (one chunk map or an array of them), optionally
+ * gzip/deflate Content-Encoding. Query: new_session=true. Responds like PUT /chunks.
+ */
+app.put(
+  '/chunks/binary',
+  requireAuth('device'),
+  bodyParser.raw({ type: ['application/octet-stream', 'application/cbor'], limit: '20mb' }),
+  verifyChunkSignature,
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: "Content-Type must be application/octet-stream or application/cbor" });
+    }
+
+    let chunks;
+    try {
+      chunks = req.is('application/cbor') ? parseCborChunks(req.body) : [parseBinaryChunk(req.body)];
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const data = {};
+    chunks.forEach((chunkObj, i) => {
+      const key = compactChunkDataKey(chunkObj);
+      data[key in data ? `${key}_${i}` : key] = chunkObj;
+    });
+    req.body = { data, new_session: req.query.new_session === 'true' };
+    return putChunks(req, res);
+  }
+);
+
+/* -----------------------------
+   ✅ NEW: Session Management Endpoints
+   ----------------------------- */
+
+/**
+ * GET /sessions/:collar_id
+ * List all sessions for a collar (active + inactive)
+ */
+app.get('/sessions/:collar_id', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id } = req.params;
+
+    const { rows } = await pool.query(
+      `SELECT 
+        cs.session_id,
+        cs.active,
+        cs.created_by,
+        cs.dog_metadata,
+        cs.created_at,
+        COUNT(cc.id) as chunk_count,
+        COALESCE(SUM((cc.output_metric->>'steps_in_chunk')::numeric), 0) as total_steps,
+        COALESCE(SUM((cc.output_metric->>'walking_steps_in_chunk')::numeric), 0) as walking_steps,
+        COALESCE(SUM((cc.output_metric->>'running_steps_in_chunk')::numeric), 0) as running_steps,
+        COALESCE(SUM((cc.output_metric->>'leg_shake_removed_in_chunk')::numeric), 0) as leg_shake_removed,
+        MAX(cc.created_at) as last_chunk_at
+       FROM collar_sessions cs
+       LEFT JOIN collar_chunks cc ON cs.collar_id = cc.collar_id AND cs.session_id = cc.session_id
+       WHERE cs.collar_id = $1
+       GROUP BY cs.session_id, cs.active, cs.created_by, cs.dog_metadata, cs.created_at
+       ORDER BY cs.created_at DESC`,
+      [collar_id]
+    );
+
+    return res.json({
+      ok: true,
+      collar_id,
+      sessions: rows,
+      total_sessions: rows.length
+    });
+  } catch (err) {
+    console.error('GET /sessions/:collar_id error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:collar_id/:session_id
+ * Get detailed session data
+ */
+app.get('/sessions/:collar_id/:session_id', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+
+    // Get session info
+    const { rows: sessionRows } = await pool.query(
+      `SELECT * FROM collar_sessions 
+       WHERE collar_id = $1 AND session_id = $2`,
+      [collar_id, session_id]
+    );
+
+    if (sessionRows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Get session statistics
+    const { rows: statsRows } = await pool.query(
+      `SELECT 
+        COUNT(*) as chunk_count,
+        COALESCE(SUM((output_metric->>'steps_in_chunk')::numeric), 0) as total_steps,
+        COALESCE(SUM((output_metric->>'walking_steps_in_chunk')::numeric), 0) as walking_steps,
+        COALESCE(SUM((output_metric->>'running_steps_in_chunk')::numeric), 0) as running_steps,
+        COALESCE(SUM((output_metric->>'leg_shake_removed_in_chunk')::numeric), 0) as leg_shake_removed,
+        MIN(created_at) as first_chunk_at,
+        MAX(created_at) as last_chunk_at,
+        MAX((output_metric->>'last_sample_number')::bigint) as last_sample_number
+       FROM collar_chunks
+       WHERE collar_id = $1 AND session_id = $2`,
+      [collar_id, session_id]
+    );
+
+    return res.json({
+      ok: true,
+      session: sessionRows[0],
+      statistics: statsRows[0]
+    });
+  } catch (err) {
+    console.error('GET /sessions/:collar_id/:session_id error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:collar_id/:session_id/recount
+ * Replay every stored chunk of a session through a fresh StepCounter and rewrite chunk step metrics.
+ * Body (optional): { params: {...step_counter_params overrides}, dry_run: true }
+ * Without params the session's stored step_counter_params are used.
+ * With dry_run (body or ?dry_run=true) the before/after diff is returned and nothing is written.
+ */
+app.post('/sessions/:collar_id/:session_id/recount', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+    const body = req.body || {};
+    const dryRun = body.dry_run === true || body.dry_run === 'true' || req.query.dry_run === 'true';
+
+    const isValid = await validateCompositeSession(collar_id, session_id);
+    if (!isValid) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { params: overrides, invalid } = pickStepCounterParams(body.params);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid step counter params: ${invalid.join(', ')}` });
+    }
+
+    const storedParams = await getStepCounterParams(collar_id, session_id);
+    const params = { ...storedParams, ...overrides };
+
+    // Load, replay and write under the collar's ingest lock: a chunk stored in between would be
+    // missing from the saved counter state, then dropped or counted twice by the next upload
+    const { chunks, diff, skipped, totalBefore, totalAfter, breakdownAfter } = await withCollarIngestLock(collar_id, async () => {
+      const chunks = await loadSessionChunksForReplay(collar_id, session_id);
+      const { sc, results, lastSampleNumber } = await replaySessionChunks(chunks, params);
+
+      // A chunk that no longer decodes keeps its stored metrics: there is nothing to recount it from
+      const kept = { steps: 0, walking_steps: 0, running_steps: 0, leg_shake_removed: 0 };
+      const diff = chunks.map((chunk, i) => {
+        const beforeMetric = chunk.row.output_metric || {};
+        const beforeSteps = Number(beforeMetric.steps_in_chunk || 0);
+        const before = {
+          steps_in_chunk: beforeSteps,
+          running_steps_in_chunk: beforeMetric.running_steps_in_chunk ?? null,
+          cumulative_steps: beforeMetric.cumulative_steps ?? null
+        };
+        if (results[i].undecodable) {
+          kept.steps += beforeSteps;
+          kept.walking_steps += Number(beforeMetric.walking_steps_in_chunk || 0);
+          kept.running_steps += Number(beforeMetric.running_steps_in_chunk || 0);
+          kept.leg_shake_removed += Number(beforeMetric.leg_shake_removed_in_chunk || 0);
+          return {
+            chunk_id: chunk.row.id,
+            chunk_key: chunk.row.chunk_key,
+            first_sample: null,
+            skipped: 'undecodable',
+            before,
+            after: before,
+            delta: 0
+          };
+        }
+        return {
+          chunk_id: chunk.row.id,
+          chunk_key: chunk.row.chunk_key,
+          first_sample: chunk.first_sample,
+          before,
+          after: {
+            steps_in_chunk: results[i].steps_in_chunk,
+            running_steps_in_chunk: results[i].running_steps_in_chunk,
+            cumulative_steps: results[i].cumulative_steps
+          },
+          delta: results[i].steps_in_chunk - beforeSteps
+        };
+      });
+      const skipped = diff.filter(d => d.skipped).length;
+
+      const totalBefore = diff.reduce((sum, d) => sum + d.before.steps_in_chunk, 0);
+      const totalAfter = sc.step_count + kept.steps;
+      const replayed = sessionStepMetric(sc);
+      const breakdownAfter = {
+        steps: totalAfter,
+        walking_steps: replayed.walking_steps + kept.walking_steps,
+        running_steps: replayed.running_steps + kept.running_steps,
+        leg_shake_removed: replayed.leg_shake_removed + kept.leg_shake_removed
+      };
+
+      if (!dryRun) {
+        const recountedAt = new Date().toISOString();
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          for (const r of results.filter(result => !result.undecodable)) {
+            await client.query(
+              `UPDATE collar_chunks
+                  SET output_metric = COALESCE(output_metric, '{}'::jsonb) || $2::jsonb
+                WHERE id = $1`,
+              [r.chunk_id, JSON.stringify({
+                steps_in_chunk: r.steps_in_chunk,
+                walking_steps_in_chunk: r.walking_steps_in_chunk,
+                running_steps_in_chunk: r.running_steps_in_chunk,
+                leg_shake_removed_in_chunk: r.leg_shake_removed_in_chunk,
+                cumulative_steps: r.cumulative_steps,
+                cumulative_running_steps: r.cumulative_running_steps,
+                cumulative_leg_shake_removed: r.cumulative_leg_shake_removed,
+                recounted_at: recountedAt
+              })]
+            );
+          }
+          await mergeCollarSessionMetric(client, collar_id, session_id, {
+            ...breakdownAfter,
+            recounted_at: recountedAt
+          });
+          // Replay consumed every stored sample, including any the reorder window still held
+          await client.query(
+            `UPDATE collar_chunks
+                SET output_metric = output_metric || jsonb_build_object('last_sample_number', $3::bigint)
+              WHERE id = (SELECT MAX(id) FROM collar_chunks WHERE collar_id = $1 AND session_id = $2)`,
+            [collar_id, session_id, lastSampleNumber]
+          );
+          // Replayed counter is the exact continuation under the recount params
+          await saveStepCounterState(client, collar_id, session_id, sc, lastSampleNumber);
+          await client.query('COMMIT');
+        } catch (e) {
+          try { await client.query('ROLLBACK'); } catch (_) {}
+          throw e;
+        } finally {
+          client.release();
+        }
+
+        // Drop cached counter and window so the next chunk reseeds from the recounted DB state
+        stepCounterBySession.delete(`${collar_id}:${session_id}`);
+        lastSampleNumberBySession.delete(`${collar_id}:${session_id}`);
+        reorderBufferBySession.delete(`${collar_id}:${session_id}`);
+      }
+
+      return { chunks, diff, skipped, totalBefore, totalAfter, breakdownAfter };
+    });
+
+    return res.json({
+      ok: true,
+      collar_id,
+      session_id,
+      dry_run: dryRun,
+      params,
+      chunks_replayed: chunks.length - skipped,
+      chunks_skipped: skipped,
+      total_steps_before: totalBefore,
+      total_steps_after: totalAfter,
+      delta: totalAfter - totalBefore,
+      step_breakdown_after: breakdownAfter,
+      chunks: diff
+    });
+  } catch (err) {
+    console.error('POST /sessions/:collar_id/:session_id/recount error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:collar_id/:session_id/ground-truth
+ * Attach ground-truth step counts to time ranges of a session.
+ * Body: { labels: [{ start_time, end_time, true_steps, source?, notes? }], created_by? }
+ *   (a single label object is also accepted)
+ */
+app.post('/sessions/:collar_id/:session_id/ground-truth', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+    const body = req.body || {};
+    const labels = Array.isArray(body.labels) ? body.labels : [body];
+
+    const isValid = await validateCompositeSession(collar_id, session_id);
+    if (!isValid) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (labels.length === 0) {
+      return res.status(400).json({ error: 'labels required' });
+    }
+
+    for (const [i, label] of labels.entries()) {
+      if (!label || typeof label !== 'object' || Array.isArray(label)) {
+        return res.status(400).json({ error: `labels[${i}]: must be an object` });
+      }
+      const start = Date.parse(label.start_time);
+      const end = Date.parse(label.end_time);
+      const steps = Number(label.true_steps);
+      if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+        return res.status(400).json({ error: `labels[${i}]: start_time and end_time must be valid timestamps with end_time > start_time` });
+      }
+      if (!Number.isInteger(steps) || steps < 0) {
+        return res.status(400).json({ error: `labels[${i}]: true_steps must be a non-negative integer` });
+      }
+    }
+
+    const client = await pool.connect();
+    const inserted = [];
+    try {
+      await client.query('BEGIN');
+      for (const label of labels) {
+        const { rows } = await client.query(
+          `INSERT INTO step_ground_truth
+             (collar_id, session_id, start_time, end_time, true_steps, source, notes, created_by, created_at)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,NOW())
+           RETURNING *`,
+          [collar_id, session_id, label.start_time, label.end_time, Number(label.true_steps),
+           label.source || null, label.notes || null, body.created_by || 'api']
+        );
+        inserted.push(rows[0]);
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    return res.json({ ok: true, labels: inserted });
+  } catch (err) {
+    console.error('POST /sessions/:collar_id/:session_id/ground-truth error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:collar_id/:session_id/ground-truth
+ * List ground-truth labels for a session
+ */
+app.get('/sessions/:collar_id/:session_id/ground-truth', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+
+    const isValid = await validateCompositeSession(collar_id, session_id);
+    if (!isValid) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const labels = await getGroundTruthLabels(collar_id, session_id);
+    return res.json({ ok: true, collar_id, session_id, labels });
+  } catch (err) {
+    console.error('GET /sessions/:collar_id/:session_id/ground-truth error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:collar_id/:session_id/ground-truth/:label_id
+ * Remove a single ground-truth label
+ */
+app.delete('/sessions/:collar_id/:session_id/ground-truth/:label_id', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id, label_id } = req.params;
+
+    if (!/^\d{1,18}$/.test(label_id)) {
+      return res.status(400).json({ error: 'label_id must be a positive integer' });
+    }
+
+    const { rowCount } = await pool.query(
+      `DELETE FROM step_ground_truth
+        WHERE collar_id = $1 AND session_id = $2 AND id = $3`,
+      [collar_id, session_id, label_id]
+    );
+
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    return res.json({ ok: true, deleted: Number(label_id) });
+  } catch (err) {
+    console.error('DELETE /sessions/:collar_id/:session_id/ground-truth error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:collar_id/:session_id/accuracy
+ * Replay stored IMU through StepCounter and compare against ground-truth labels.
+ * Any step_counter_params field may be passed as a query param to evaluate an alternative set,
+ * e.g. ?peak_threshold=11.5&filter_window_size=7
+ */
+app.get('/sessions/:collar_id/:session_id/accuracy', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+
+    const isValid = await validateCompositeSession(collar_id, session_id);
+    if (!isValid) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { params: overrides, invalid } = pickStepCounterParams(req.query);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid step counter params: ${invalid.join(', ')}` });
+    }
+
+    const labels = await getGroundTruthLabels(collar_id, session_id);
+    if (labels.length === 0) {
+      return res.status(404).json({ error: 'No ground-truth labels for this session' });
+    }
+
+    const storedParams = await getStepCounterParams(collar_id, session_id);
+    const params = { ...storedParams, ...overrides };
+
+    const chunks = await loadSessionChunksForReplay(collar_id, session_id);
+    const clock = await getSessionClock(collar_id, session_id);
+    const { sc, timeline } = await replaySessionChunks(chunks, params, { timeline: true, clock });
+    const { ranges, summary } = evaluateStepAccuracy(timeline, labels);
+
+    return res.json({
+      ok: true,
+      collar_id,
+      session_id,
+      params,
+      chunks_replayed: chunks.length,
+      session_total_steps: sc.step_count,
+      summary,
+      ranges
+    });
+  } catch (err) {
+    console.error('GET /sessions/:collar_id/:session_id/accuracy error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:collar_id/:session_id/activity
+ * Minutes per activity class (rest/walk/trot/run/shake), active minutes and class transitions,
+ * merged from the per-second timelines stored on each chunk
+ */
+app.get('/sessions/:collar_id/:session_id/activity', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+
+    const isValid = await validateCompositeSession(collar_id, session_id);
+    if (!isValid) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT output_metric->'activity_timeline' AS timeline
+         FROM collar_chunks
+        WHERE collar_id = $1 AND session_id = $2
+          AND output_metric ? 'activity_timeline'
+        ORDER BY id ASC`,
+      [collar_id, session_id]
+    );
+
+    const summary = summarizeActivityTimelines(rows.map(r => r.timeline));
+
+    return res.json({
+      ok: true,
+      collar_id,
+      session_id,
+      ...summary
+    });
+  } catch (err) {
+    console.error('GET /sessions/:collar_id/:session_id/activity error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:collar_id/:session_id/sleep
+ * Rest and sleep periods detected from low-motion IMU seconds, total durations
+ * and a restlessness score (0-100, duration-weighted over sleep periods, or rest periods if no sleep)
+ */
+app.get('/sessions/:collar_id/:session_id/sleep', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+
+    const isValid = await validateCompositeSession(collar_id, session_id);
+    if (!isValid) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT output_metric->'motion_timeline' AS timeline
+         FROM collar_chunks
+        WHERE collar_id = $1 AND session_id = $2
+          AND output_metric ? 'motion_timeline'
+        ORDER BY id ASC`,
+      [collar_id, session_id]
+    );
+
+    const periods = detectRestPeriods(rows.map(r => r.timeline));
+    const sleepPeriods = periods.filter(p => p.type === 'sleep');
+    const scored = sleepPeriods.length ? sleepPeriods : periods;
+    const scoredDuration = scored.reduce((sum, p) => sum + p.duration_s, 0);
+
+    return res.json({
+      ok: true,
+      collar_id,
+      session_id,
+      periods,
+      total_rest_s: periods.reduce((sum, p) => sum + p.duration_s, 0),
+      total_sleep_s: sleepPeriods.reduce((sum, p) => sum + p.duration_s, 0),
+      restlessness: scoredDuration
+        ? Number((scored.reduce((sum, p) => sum + p.restlessness * p.duration_s, 0) / scoredDuration).toFixed(1))
+        : null
+    });
+  } catch (err) {
+    console.error('GET /sessions/:collar_id/:session_id/sleep error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:collar_id/:session_id/continuity
+ * Sample coverage (% of the sample_number span received, per reset segment), current gaps,
+ * clock drift between the real_time mapping and timestamp_ms_dev, and the detected events.
+ * Query: type=gap|overlap|late|too_late|reset|drift (optional event filter), limit (events, default 500)
+ */
+app.get('/sessions/:collar_id/:session_id/continuity', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+    const { type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+
+    if (type && !CONTINUITY_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${CONTINUITY_EVENT_TYPES.join(', ')}` });
+    }
+
+    const isValid = await validateCompositeSession(collar_id, session_id);
+    if (!isValid) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { rows: stateRows } = await pool.query(
+      'SELECT * FROM session_continuity WHERE collar_id = $1 AND session_id = $2',
+      [collar_id, session_id]
+    );
+    const { rows: rangeRows } = await pool.query(
+      `SELECT segment, first_sample, last_sample FROM session_sample_ranges
+        WHERE collar_id = $1 AND session_id = $2
+        ORDER BY segment ASC, first_sample ASC`,
+      [collar_id, session_id]
+    );
+    const values = [collar_id, session_id];
+    let typeFilter = '';
+    if (type) {
+      values.push(type);
+      typeFilter = `AND type = $${values.length}`;
+    }
+    const { rows: events } = await pool.query(
+      `SELECT id, chunk_id, type, segment, start_sample, end_sample, sample_count, detail, created_at
+         FROM session_continuity_events
+        WHERE collar_id = $1 AND session_id = $2 ${typeFilter}
+        ORDER BY created_at ASC, id ASC
+        LIMIT ${limit}`,
+      values
+    );
+
+    const state = stateRows[0] || null;
+    const summary = summarizeContinuity(rangeRows, state ? state.segments : []);
+
+    return res.json({
+      ok: true,
+      collar_id,
+      session_id,
+      ...summary,
+      resets: state ? state.segment : 0,
+      drift: state
+        ? { current_ms: state.drift_ms, flagged: state.drift_flagged, threshold_ms: CONTINUITY_DRIFT_MAX_MS }
+        : null,
+      events
+    });
+  } catch (err) {
+    console.error('GET /sessions/:collar_id/:session_id/continuity error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:collar_id/:session_id/temperature-references
+ * Record a manual core temperature reading (IR gun etc.) taken during the session.
+ * Body: { core_temp_c, measured_at? (ISO, default now), source? (default 'irgun'), notes?, created_by? }
+ * Refits the calibration model; the reference pairs with skin readings once they arrive.
+ */
+app.post('/sessions/:collar_id/:session_id/temperature-references', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, session_id } = req.params;
+    const body = req.body || {};
+
+    const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [collar_id]);
+    const isValid = collarRows.length > 0 && await validateCompositeSession(collar_id, session_id);
+    if (!isValid) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const coreTemp = Number(body.core_temp_c);
+    if (body.core_temp_c === null || body.core_temp_c === '' || !Number.isFinite(coreTemp) || coreTemp < 30 || coreTemp > 45) {
+      return res.status(400).json({ error: 'core_temp_c must be a temperature between 30 and 45 °C' });
+    }
+    const measuredAt = body.measured_at === undefined ? new Date() : new Date(body.measured_at);
+    if (Number.isNaN(measuredAt.getTime())) {
+      return res.status(400).json({ error: 'measured_at must be a valid timestamp' });
+    }
 
-    // Default: Update collar details WITHOUT creating a new session
-    const collar = await upsertCollarCreateOnly(body);
-    return res.json({ ok: true, collar, message: 'Dog details updated' });
+    const { rows } = await pool.query(
+      `INSERT INTO temperature_references
+         (collar_id, session_id, core_temp_c, measured_at, source, notes, created_by, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,NOW())
+       RETURNING *`,
+      [collar_id, session_id, coreTemp, measuredAt.toISOString(),
+       body.source || 'irgun', body.notes || null, body.created_by || 'api']
+    );
 
+    // Other sessions may pool this collar's references, so drop all of its cached models
+    invalidateCollarCalibration(collar_id);
+    const model = await getCalibrationModel(collarRows[0], session_id);
+
+    return res.json({ ok: true, reference: rows[0], calibration: calibrationSummary(model) });
   } catch (err) {
-    console.error('POST /collars error', err);
+    console.error('POST /sessions/:collar_id/:session_id/temperature-references error', err);
     return res.status(500).json({ error: err.message });
   }
 });
 
-// GET /collars
-app.get('/collars', async (req, res) => {
+/**
+ * GET /sessions/:collar_id/:session_id/calibration
+ * Skin-to-core calibration model in effect for the session, with the paired readings it was fitted from
+ */
+app.get('/sessions/:collar_id/:session_id/calibration', requireAuth('user'), async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      'SELECT collar_id, dog_name, breed, created_at, output_metric FROM collars ORDER BY created_at DESC'
+    const { collar_id, session_id } = req.params;
+
+    const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [collar_id]);
+    const { rows: sessionRows } = await pool.query(
+      'SELECT session_id, created_at, dog_metadata FROM collar_sessions WHERE collar_id = $1 AND session_id = $2',
+      [collar_id, session_id]
     );
-    return res.json(rows);
+    if (collarRows.length === 0 || sessionRows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const model = await getCalibrationModel(collarRows[0], session_id);
+    const { pairs } = await loadSessionCalibrationPairs(collar_id, sessionRows[0]);
+
+    return res.json({
+      ok: true,
+      collar_id,
+      session_id,
+      calibration: calibrationSummary(model),
+      pairs: pairs.map(p => ({
+        ...p,
+        skin_c: roundTemp(p.skin_c),
+        estimated_core_c: roundTemp(estimateCoreTemperature(model, p.skin_c))
+      }))
+    });
   } catch (err) {
-    console.error('GET /collars error', err);
+    console.error('GET /sessions/:collar_id/:session_id/calibration error', err);
     return res.status(500).json({ error: err.message });
   }
 });
 
-// GET /collars/:collar_id
-app.get('/collars/:collar_id', async (req, res) => {
+/**
+ * GET /sessions/:collar_id/:session_id/export?format=csv|ndjson|arrow&table=samples|temperatures|chunks|all
+ * Streams the session's decoded samples with mapped timestamps, its temperature series or its
+ * per-chunk metrics. table=all (NDJSON only, its default) interleaves all three with a type field.
+ */
+app.get('/sessions/:collar_id/:session_id/export', requireAuth('user'), async (req, res) => {
   try {
-    const cid = req.params.collar_id;
-    const sessionId = req.query.session_id;  // Optional: filter by session
-
-    // Fetch collar basic data
-    const collarRes = await pool.query(
-      'SELECT * FROM collars WHERE collar_id = $1',
-      [cid]
-    );
-
-    if (collarRes.rows.length === 0) {
-      return res.status(404).json({ error: 'not found' });
+    const { collar_id, session_id } = req.params;
+    const format = String(req.query.format || 'ndjson').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
     }
-
-    const collar = collarRes.rows[0];
-
-    // If sessionId provided, ensure it exists for this collar
-    if (sessionId) {
-      const { rows: sessionRows } = await pool.query(
-        'SELECT 1 FROM collar_sessions WHERE collar_id = $1 AND session_id = $2 LIMIT 1',
-        [cid, sessionId]
-      );
-      if (sessionRows.length === 0) {
-        return res.status(404).json({ error: 'session not found for this collar' });
-      }
+    const table = String(req.query.table || (format === 'ndjson' ? 'all' : 'samples')).toLowerCase();
+    if (!EXPORT_TABLES[table] && !(table === 'all' && format === 'ndjson')) {
+      return res.status(400).json({
+        error: `table must be one of: ${Object.keys(EXPORT_TABLES).join(', ')}` +
+          (format === 'ndjson' ? ', all' : ' (all is NDJSON only)')
+      });
     }
 
-    // Session-scoped steps (sum of steps_in_chunk for this session)
-    let session_steps = null;
-    if (sessionId) {
-      session_steps = await getSessionStepTotal(cid, sessionId);
+    if (!(await validateCompositeSession(collar_id, session_id))) {
+      return res.status(404).json({ error: 'Session not found' });
     }
+    const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [collar_id]);
+    if (collarRows.length === 0) return res.status(404).json({ error: 'Collar not found' });
 
-    // Fetch temperature readings - optionally filtered by session_id
-    let chunksRes;
-    if (sessionId) {
-      // Get temperature data ONLY for this specific session
-      chunksRes = await pool.query(
-        `SELECT temp_data, temp_first_timestamp
-         FROM collar_chunks
-         WHERE collar_id = $1 AND session_id = $2
-         ORDER BY created_at ASC`,
-        [cid, sessionId]
-      );
-    } else {
-      // Get ALL temperature readings from chunks (backward compatibility)
-      chunksRes = await pool.query(
-        `SELECT temp_data, temp_first_timestamp
-         FROM collar_chunks
-         WHERE collar_id = $1
-         ORDER BY created_at ASC`,
-        [cid]
-      );
+    const result = await streamSessionExport(res, collarRows[0], session_id, format, table);
+    if (result.aborted) {
+      console.log(`[Export] ${collar_id}:${session_id} ${format}/${table} aborted by client after ${result.chunks} chunks`);
     }
+  } catch (err) {
+    console.error('GET /sessions/:collar_id/:session_id/export error', err);
+    if (!res.headersSent) return res.status(500).json({ error: err.message });
+    // Part of the body is already out; cut the stream so the client sees a truncated export
+    res.destroy(err);
+  }
+});
 
-    const temperature_list = [];
-
-    for (const chunk of chunksRes.rows) {
-      const temps = chunk.temp_data || [];
-      let t0 = chunk.temp_first_timestamp
-        ? new Date(chunk.temp_first_timestamp).getTime()
-        : null;
+/* -----------------------------
+   Bulk Import Routes
+   ----------------------------- */
 
-      // If timestamp missing, skip this chunk
-      if (!t0) continue;
+/**
+ * POST /imports/archives
+ * Store an archive of recorded chunk files (application/x-tar, application/gzip for .tar.gz,
+ * application/zip) under IMPORT_ROOT. Returns the `source` to pass to POST /imports.
+ */
+app.post(
+  '/imports/archives',
+  requireAuth('admin'),
+  bodyParser.raw({ type: Object.keys(IMPORT_UPLOAD_TYPES), limit: IMPORT_MAX_ARCHIVE_BYTES }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(415).json({ error: `Content-Type must be one of: ${Object.keys(IMPORT_UPLOAD_TYPES).join(', ')}` });
+      }
+      const ext = IMPORT_UPLOAD_TYPES[req.is(Object.keys(IMPORT_UPLOAD_TYPES))];
+      const buf = req.body;
+      const looksValid = ext === '.zip' ? buf.readUInt32LE(0) === 0x04034b50
+        : ext === '.tar.gz' ? buf[0] === 0x1f && buf[1] === 0x8b
+        : buf.length >= 512 && buf.toString('latin1', 257, 262) === 'ustar';
+      if (!looksValid) {
+        return res.status(400).json({ error: `Body is not a ${ext} archive` });
+      }
 
-      // assume 1-second interval between samples
-      const intervalMs = 1000;
+      const source = `${IMPORT_UPLOAD_DIR}/${crypto.randomBytes(8).toString('hex')}${ext}`;
+      await fs.promises.mkdir(path.join(IMPORT_ROOT, IMPORT_UPLOAD_DIR), { recursive: true });
+      await fs.promises.writeFile(path.join(IMPORT_ROOT, source), buf);
 
-      temps.forEach((tempValue, index) => {
-        temperature_list.push({
-          temp_c: tempValue,
-          timestamp: new Date(t0 + index * intervalMs).toISOString()
-        });
+      return res.status(201).json({
+        ok: true,
+        source,
+        bytes: buf.length,
+        sha256: crypto.createHash('sha256').update(buf).digest('hex')
       });
+    } catch (err) {
+      console.error('POST /imports/archives error', err);
+      return res.status(500).json({ error: err.message });
     }
-
-    // Build response with optional session-scoped steps
-    const responsePayload = {
-      ...collar,
-      temperature_list
-    };
-
-    if (session_steps !== null) {
-      responsePayload.session_steps = session_steps;
-
-      // If stored per-session metrics exist, surface that session's block
-      const sessionsMetric = (collar.output_metric || {}).sessions || {};
-      const sessionBlock = sessionsMetric[sessionId] || {};
-
-      responsePayload.output_metric = {
-        ...collar.output_metric,
-        steps: session_steps,
-        session_id: sessionId,
-        session_block: sessionBlock
-      };
-    }
-
-    return res.json(responsePayload);
-
-  } catch (err) {
-    console.error("GET /collars/:collar_id error", err);
-    return res.status(500).json({ error: err.message });
   }
-});
+);
 
 /**
- * PUT /chunks
- * ✅ FIXED: Prevents double-counting and memory leaks
+ * POST /imports
+ * Import recorded chunk files into a new (inactive) session of the collar.
+ * Body: {
+ *   collar_id, source,             // directory or archive path relative to IMPORT_ROOT
+ *   dog_metadata?: {...},          // overrides on the collar's current dog details
+ *   started_at?: ISO,              // session created_at (default now)
+ *   created_by?: 'import'
+ * }
+ * Returns 202 with import_id and session_id; poll GET /imports/:import_id
  */
-app.put('/chunks', async (req, res) => {
+app.post('/imports', requireAuth('admin'), async (req, res) => {
   try {
-    const { data, new_session } = req.body;
-
-    if (!data || typeof data !== 'object') {
-      return res.status(400).json({ error: "data object required" });
+    const body = req.body || {};
+    if (!body.collar_id) {
+      return res.status(400).json({ error: 'collar_id required' });
     }
-
-    const chunkKeyName = Object.keys(data)[0];
-    const chunkObj = data[chunkKeyName];
-
-    const collar_id = chunkObj.collar_id;
-    if (!collar_id) {
-      return res.status(400).json({ error: "collar_id missing inside chunk" });
+    if (!resolveImportPath(body.source)) {
+      return res.status(400).json({ error: 'source must be a path inside the import directory' });
+    }
+    if (body.dog_metadata !== undefined &&
+        (!body.dog_metadata || typeof body.dog_metadata !== 'object' || Array.isArray(body.dog_metadata))) {
+      return res.status(400).json({ error: 'dog_metadata must be an object' });
+    }
+    const startedAt = body.started_at === undefined ? null : new Date(body.started_at);
+    if (startedAt && Number.isNaN(startedAt.getTime())) {
+      return res.status(400).json({ error: 'started_at must be an ISO timestamp' });
     }
 
-    // Check collar exists
-    const { rows: collarRows } = await pool.query(
-      "SELECT * FROM collars WHERE collar_id = $1",
-      [collar_id]
-    );
-
+    const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [body.collar_id]);
     if (collarRows.length === 0) {
-      return res.status(404).json({
-        error: "collar not found; create collar first"
-      });
+      return res.status(404).json({ error: 'collar not found; create collar first' });
     }
-
-    // Get existing active session
-    let session_id = await getActiveSessionForCollar(collar_id);
-
-    // ✔ Only create new session IF user explicitly asks
-    if (new_session === true) {
-      // Fetch current dog metadata from collar table
-      const dogMetadata = {
-        dog_name: collarRows[0].dog_name,
-        breed: collarRows[0].breed,
-        age: collarRows[0].age,
-        height: collarRows[0].height,
-        weight: collarRows[0].weight,
-        sex: collarRows[0].sex,
-        coat_type: collarRows[0].coat_type,
-        temperature_irgun: collarRows[0].temperature_irgun,
-        collar_orientation: collarRows[0].collar_orientation,
-        medical_info: collarRows[0].medical_info,
-        remarks: collarRows[0].remarks
-      };
-      session_id = await generateAndInsertSession(collar_id, "manual", dogMetadata);
-      
-      // ✅ Clear old session MEMORY cache (DB records stay)
-      const oldKey = `${collar_id}:${session_id}`;
-      stepCounterBySession.delete(oldKey);
-      lastSampleNumberBySession.delete(oldKey);
-      sessionLastAccessTime.delete(oldKey);
-      console.log(`[New Session] Cleared memory cache for ${oldKey}, DB records preserved`);
+    if (runningImports.size > 0) {
+      return res.status(409).json({ error: 'An import is already running', import_id: [...runningImports][0] });
     }
+    // Reserved before the first await so a concurrent request sees it
+    const import_id = crypto.randomBytes(8).toString('hex');
+    runningImports.add(import_id);
+    let queued = false;
+    try {
+      let listing;
+      try {
+        listing = await listImportSource(body.source);
+      } catch (e) {
+        return res.status(400).json({ error: `Cannot read source: ${e.message}` });
+      }
+      if (listing.files.length === 0) {
+        return res.status(400).json({ error: 'source holds no chunk files (.json, .bin, .mpck, .cbor)', skipped: listing.skipped });
+      }
 
-    // ❌ Do NOT create session automatically
-    if (!session_id) {
-      return res.status(400).json({
-        error: "No active session. Call PUT /chunks with {new_session: true} to start a new session."
+      const dogMetadata = { ...dogMetadataSnapshot(collarRows[0]), ...(body.dog_metadata || {}) };
+      const session_id = await generateAndInsertSession(body.collar_id, body.created_by || 'import', dogMetadata, {
+        activate: false,
+        created_at: startedAt ? startedAt.toISOString() : null
       });
-    }
-
-    // ✅ Update session access time
-    touchSession(collar_id, session_id);
 
-    // -----------------------
-    // Decode + Process IMU
-    // -----------------------
-    const decoded = decodeChunkJson(chunkObj);
-    const persistedMapping = collarRows[0].mapping_json || null;
-    const { mapped, mapping } = mapSamplesToTimestamps(decoded, persistedMapping);
-
-    if (mapping) {
+      const job = {
+        import_id,
+        collar_id: body.collar_id,
+        session_id,
+        source: body.source,
+        files: listing.files.map(file => file.name),
+        next_file: 0,
+        progress: {
+          files_total: listing.files.length,
+          files_done: 0,
+          files_skipped: listing.skipped.length,
+          files_failed: 0,
+          chunks_processed: 0,
+          chunks_duplicate: 0,
+          chunks_failed: 0,
+          samples_processed: 0,
+          cumulative_steps: 0,
+          current_file: null,
+          errors: []
+        }
+      };
       await pool.query(
-        "UPDATE collars SET mapping_json=$2 WHERE collar_id=$1",
-        [collar_id, mapping]
+        `INSERT INTO session_imports (import_id, collar_id, session_id, source, status, files, next_file, progress)
+         VALUES ($1, $2, $3, $4, 'queued', $5, 0, $6)`,
+        [job.import_id, job.collar_id, session_id, job.source, JSON.stringify(job.files), job.progress]
       );
-      mappingByCollar.set(collar_id, mapping);
-    }
-
-    // Per-session step counter (persists across restarts using DB seed)
-    const sc = await getOrInitStepCounter(collar_id, session_id);
 
-    // ✅ CORRECTED step counting logic - only process NEW samples
-    const sessionKey = `${collar_id}:${session_id}`;
-    
-    // ✅ Load last processed sample (from memory or DB)
-    const lastProcessedSampleNumber = await getLastProcessedSampleNumber(collar_id, session_id);
-    
-    // Filter out samples we've already processed
-    let samplesToProcess = mapped;
-    
-    if (lastProcessedSampleNumber !== null) {
-      // Only process samples with sample_number > last processed
-      samplesToProcess = mapped.filter(s => s.sample_number > lastProcessedSampleNumber);
-      
-      console.log(`Session ${sessionKey}: Last processed sample=${lastProcessedSampleNumber}, ` +
-                  `Current chunk has ${mapped.length} samples, ` +
-                  `Processing ${samplesToProcess.length} new samples`);
-    } else {
-      console.log(`Session ${sessionKey}: First chunk, processing all ${samplesToProcess.length} samples`);
-    }
+      setImmediate(() => runSessionImport(job));
+      queued = true;
 
-    // Only process if we have new samples
-    let stepsInChunk = 0;
-    let lastSampleNumber = lastProcessedSampleNumber;
-    
-    if (samplesToProcess.length > 0) {
-      const before = sc.step_count;
-      sc.processChunk(samplesToProcess);
-      const after = sc.step_count;
-      stepsInChunk = after - before;
-
-      // ✅ Update the last processed sample number (in memory AND will save to DB)
-      const lastSampleInChunk = mapped[mapped.length - 1];
-      lastSampleNumber = lastSampleInChunk.sample_number;
-      lastSampleNumberBySession.set(sessionKey, lastSampleNumber);
-    } else {
-      console.warn(`Session ${sessionKey}: No new samples to process (possible duplicate chunk)`);
+      return res.status(202).json({
+        ok: true,
+        import_id: job.import_id,
+        session_id,
+        status: 'queued',
+        files_total: job.files.length,
+        skipped: listing.skipped
+      });
+    } finally {
+      if (!queued) runningImports.delete(import_id);
     }
-
-    // ✅ Enhanced output metric - includes last_sample_number for DB persistence
-    const outputMetric = {
-      steps_in_chunk: stepsInChunk,
-      cumulative_steps: sc.step_count,
-      samples_processed: samplesToProcess.length,
-      total_samples_in_chunk: mapped.length,
-      last_sample_number: lastSampleNumber, // ✅ Store in DB for recovery
-      temp_avg_c: decoded.temp_data?.length
-        ? decoded.temp_data.reduce((a, b) => a + b, 0) / decoded.temp_data.length
-        : null,
-      session_id_used: session_id,
-      received_at: new Date().toISOString()
-    };
-
-    const chunkRow = await insertChunkRow(
-      collar_id, session_id, decoded, {}, outputMetric
-    );
-
-    // Persist latest session steps onto collar keyed by collar+session
-    await updateCollarOutputMetric(collar_id, session_id, {
-      steps: sc.step_count,
-      last_chunk_id: chunkRow.id,
-      last_sample_number: lastSampleNumber, // ✅ Also store here
-      last_update: new Date().toISOString()
-    });
-
-    return res.json({
-      ok: true,
-      session_id_used: session_id,
-      chunk_id: chunkRow.id,
-      outputMetric
-    });
-
   } catch (err) {
-    console.error("PUT /chunks error", err);
+    console.error('POST /imports error', err);
     return res.status(500).json({ error: err.message });
   }
 });
 
-/* -----------------------------
-   ✅ NEW: Session Management Endpoints
-   ----------------------------- */
-
 /**
- * GET /sessions/:collar_id
- * List all sessions for a collar (active + inactive)
+ * GET /imports/:import_id
+ * Progress of an import: status, checkpoint (next_file), counters and the first errors
  */
-app.get('/sessions/:collar_id', async (req, res) => {
+app.get('/imports/:import_id', requireAuth('admin'), async (req, res) => {
   try {
-    const { collar_id } = req.params;
-
-    const { rows } = await pool.query(
-      `SELECT 
-        cs.session_id,
-        cs.active,
-        cs.created_by,
-        cs.dog_metadata,
-        cs.created_at,
-        COUNT(cc.id) as chunk_count,
-        COALESCE(SUM((cc.output_metric->>'steps_in_chunk')::numeric), 0) as total_steps,
-        MAX(cc.created_at) as last_chunk_at
-       FROM collar_sessions cs
-       LEFT JOIN collar_chunks cc ON cs.collar_id = cc.collar_id AND cs.session_id = cc.session_id
-       WHERE cs.collar_id = $1
-       GROUP BY cs.session_id, cs.active, cs.created_by, cs.dog_metadata, cs.created_at
-       ORDER BY cs.created_at DESC`,
-      [collar_id]
-    );
-
-    return res.json({
-      ok: true,
-      collar_id,
-      sessions: rows,
-      total_sessions: rows.length
-    });
+    const { rows } = await pool.query('SELECT * FROM session_imports WHERE import_id = $1', [req.params.import_id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    return res.json({ ok: true, import: importSummary(rows[0]) });
   } catch (err) {
-    console.error('GET /sessions/:collar_id error', err);
+    console.error('GET /imports/:import_id error', err);
     return res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * GET /sessions/:collar_id/:session_id
- * Get detailed session data
+ * POST /imports/:import_id/resume
+ * Continue a failed (or interrupted by a restart) import from its checkpoint
  */
-app.get('/sessions/:collar_id/:session_id', async (req, res) => {
+app.post('/imports/:import_id/resume', requireAuth('admin'), async (req, res) => {
   try {
-    const { collar_id, session_id } = req.params;
-
-    // Get session info
-    const { rows: sessionRows } = await pool.query(
-      `SELECT * FROM collar_sessions 
-       WHERE collar_id = $1 AND session_id = $2`,
-      [collar_id, session_id]
-    );
-
-    if (sessionRows.length === 0) {
-      return res.status(404).json({ error: 'Session not found' });
+    const { rows } = await pool.query('SELECT * FROM session_imports WHERE import_id = $1', [req.params.import_id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Import not found' });
     }
+    const row = rows[0];
+    if (row.status === 'completed') {
+      return res.status(409).json({ error: 'Import already completed', import: importSummary(row) });
+    }
+    if (runningImports.size > 0) {
+      return res.status(409).json({ error: 'An import is already running', import_id: [...runningImports][0] });
+    }
+    runningImports.add(row.import_id);
+
+    const job = {
+      import_id: row.import_id,
+      collar_id: row.collar_id,
+      session_id: row.session_id,
+      source: row.source,
+      files: row.files,
+      next_file: row.next_file,
+      progress: row.progress
+    };
+    setImmediate(() => runSessionImport(job));
 
-    // Get session statistics
-    const { rows: statsRows } = await pool.query(
-      `SELECT 
-        COUNT(*) as chunk_count,
-        COALESCE(SUM((output_metric->>'steps_in_chunk')::numeric), 0) as total_steps,
-        MIN(created_at) as first_chunk_at,
-        MAX(created_at) as last_chunk_at,
-        MAX((output_metric->>'last_sample_number')::bigint) as last_sample_number
-       FROM collar_chunks
-       WHERE collar_id = $1 AND session_id = $2`,
-      [collar_id, session_id]
-    );
-
-    return res.json({
+    return res.status(202).json({
       ok: true,
-      session: sessionRows[0],
-      statistics: statsRows[0]
+      import_id: job.import_id,
+      session_id: job.session_id,
+      status: 'queued',
+      resume_from_file: job.next_file,
+      files_total: job.files.length
     });
   } catch (err) {
-    console.error('GET /sessions/:collar_id/:session_id error', err);
+    console.error('POST /imports/:import_id/resume error', err);
     return res.status(500).json({ error: err.message });
   }
 });
@@ -1165,18 +6740,48 @@ app.get('/sessions/:collar_id/:session_id', async (req, res) => {
    Step Counter Params Routes
    ----------------------------- */
 
+/**
+ * GET /step-counter-algorithms
+ * List registered step detection algorithms (values for step_counter_params.algorithm)
+ */
+app.get('/step-counter-algorithms', requireAuth('user'), (req, res) => {
+  const algorithms = Object.entries(STEP_ALGORITHMS).map(([name, entry]) => ({
+    name,
+    description: entry.description,
+    default: name === DEFAULT_STEP_ALGORITHM
+  }));
+  return res.json({ ok: true, algorithms });
+});
+
+/**
+ * GET /imu-formats
+ * Registered IMU record layouts a chunk's format_version can name
+ */
+app.get('/imu-formats', requireAuth('user'), (req, res) => {
+  const formats = Object.entries(IMU_FORMATS).map(([version, format]) => ({
+    format_version: Number(version),
+    description: format.description,
+    record_bytes: format.record_bytes,
+    fields: format.fields.map(([name, type, scale]) => ({ name, type, scale: scale ?? null })),
+    default: Number(version) === DEFAULT_IMU_FORMAT_VERSION
+  }));
+  return res.json({ ok: true, formats });
+});
+
 /**
  * POST /step-counter-params
- * Insert/update step counter parameters for a session (Sheep Algorithm - Jiang et al. 2023)
+ * Insert/update step counter parameters for a session
+ * `algorithm` selects the step detection implementation (see GET /step-counter-algorithms)
  * Only updates fields that are provided in the request body
  */
-app.post('/step-counter-params', async (req, res) => {
+app.post('/step-counter-params', requireAuth('user'), async (req, res) => {
   try {
     const { collar_id, session_id, ...params } = req.body;
 
     if (!collar_id || !session_id) {
       return res.status(400).json({ error: 'collar_id and session_id required' });
     }
+    if (denyOtherCollar(req, res, collar_id)) return;
 
     // Validate session exists for this collar
     const isValid = await validateCompositeSession(collar_id, session_id);
@@ -1184,88 +6789,22 @@ app.post('/step-counter-params', async (req, res) => {
       return res.status(404).json({ error: 'Invalid collar_id/session_id combination' });
     }
 
-    // Default values for initial insert
-    const defaults = {
-      peak_threshold: 12.0,
-      peak_window_n: 4,
-      filter_window_size: 5,
-      process_window_samples: 100,
-      run_start_threshold: 30.0,
-      shake_start_threshold: 12.0,
-      sample_rate_hz: 32,
-      valley_window_n: 2,
-      run_end_threshold_high: 20.0,
-      run_end_threshold_low: 12.0,
-      run_peak_valley_diff: 20.0,
-      run_scaling_factor: 2.1,
-      baseline_step_samples: 29,
-      shake_peak_valley_diff: 12.0,
-      shake_regional_peak_max: 39.0,
-      shake_variance_threshold: 10.0
-    };
-
-    // Check if record exists
-    const { rows: existing } = await pool.query(
-      `SELECT * FROM step_counter_params WHERE collar_id = $1 AND session_id = $2`,
-      [collar_id, session_id]
-    );
-
-    let result;
-    if (existing.length === 0) {
-      // Insert with defaults + provided params
-      const insertParams = { ...defaults, ...params };
-      const { rows } = await pool.query(
-        `INSERT INTO step_counter_params
-          (collar_id, session_id, peak_threshold, peak_window_n, filter_window_size, 
-           process_window_samples, run_start_threshold, shake_start_threshold,
-           sample_rate_hz, valley_window_n, run_end_threshold_high, run_end_threshold_low,
-           run_peak_valley_diff, run_scaling_factor, baseline_step_samples,
-           shake_peak_valley_diff, shake_regional_peak_max, shake_variance_threshold,
-           created_at, updated_at)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,NOW(),NOW())
-         RETURNING *`,
-        [collar_id, session_id, 
-         insertParams.peak_threshold, insertParams.peak_window_n, insertParams.filter_window_size,
-         insertParams.process_window_samples, insertParams.run_start_threshold, insertParams.shake_start_threshold,
-         insertParams.sample_rate_hz, insertParams.valley_window_n, insertParams.run_end_threshold_high, 
-         insertParams.run_end_threshold_low, insertParams.run_peak_valley_diff, insertParams.run_scaling_factor,
-         insertParams.baseline_step_samples, insertParams.shake_peak_valley_diff, insertParams.shake_regional_peak_max,
-         insertParams.shake_variance_threshold]
-      );
-      result = rows[0];
-    } else {
-      // Update only provided fields
-      const updateFields = [];
-      const updateValues = [collar_id, session_id];
-      let paramIndex = 3;
-
-      for (const [key, value] of Object.entries(params)) {
-        if (defaults.hasOwnProperty(key)) {
-          updateFields.push(`${key} = $${paramIndex}`);
-          updateValues.push(value);
-          paramIndex++;
-        }
-      }
-
-      if (updateFields.length === 0) {
-        return res.status(400).json({ error: 'No valid parameters to update' });
-      }
-
-      updateFields.push('updated_at = NOW()');
-
-      const { rows } = await pool.query(
-        `UPDATE step_counter_params 
-         SET ${updateFields.join(', ')}
-         WHERE collar_id = $1 AND session_id = $2
-         RETURNING *`,
-        updateValues
-      );
-      result = rows[0];
+    if (params.algorithm !== undefined && !STEP_ALGORITHMS.hasOwnProperty(params.algorithm)) {
+      return res.status(400).json({
+        error: `Unknown algorithm; expected one of ${Object.keys(STEP_ALGORITHMS).join(', ')}`
+      });
+    }
+    if (params.algorithm_params !== undefined) {
+      params.algorithm_params = parseAlgorithmParams(params.algorithm_params);
+      if (!params.algorithm_params) {
+        return res.status(400).json({ error: 'algorithm_params must be an object of numeric values' });
+      }
     }
 
-    // Clear from cache so next chunk will reload fresh params
-    const key = `${collar_id}:${session_id}`;
-    stepCounterBySession.delete(key);
+    const result = await saveStepCounterParams(collar_id, session_id, params);
+    if (!result) {
+      return res.status(400).json({ error: 'No valid parameters to update' });
+    }
 
     return res.json({ ok: true, params: result });
   } catch (err) {
@@ -1278,7 +6817,7 @@ app.post('/step-counter-params', async (req, res) => {
  * GET /step-counter-params/:collar_id
  * Get step counter parameters for a session
  */
-app.get('/step-counter-params/:collar_id', async (req, res) => {
+app.get('/step-counter-params/:collar_id', requireAuth('user'), async (req, res) => {
   try {
     const { collar_id } = req.params;
     let { session_id } = req.query;
@@ -1309,22 +6848,7 @@ app.get('/step-counter-params/:collar_id', async (req, res) => {
         params: {
           collar_id,
           session_id,
-          peak_threshold: 12.0,
-          peak_window_n: 4,
-          filter_window_size: 5,
-          process_window_samples: 100,
-          run_start_threshold: 30.0,
-          shake_start_threshold: 12.0,
-          sample_rate_hz: 32,
-          valley_window_n: 2,
-          run_end_threshold_high: 20.0,
-          run_end_threshold_low: 12.0,
-          run_peak_valley_diff: 20.0,
-          run_scaling_factor: 2.1,
-          baseline_step_samples: 29,
-          shake_peak_valley_diff: 12.0,
-          shake_regional_peak_max: 39.0,
-          shake_variance_threshold: 10.0,
+          ...STEP_COUNTER_PARAM_DEFAULTS,
           status: 'defaults'
         }
       });
@@ -1337,6 +6861,241 @@ app.get('/step-counter-params/:collar_id', async (req, res) => {
   }
 });
 
+/**
+ * POST /step-counter-params/search
+ * Start a grid or random search over step counter params against labelled sessions.
+ * Body: {
+ *   sessions: [{ collar_id, session_id }],          // each must have ground-truth labels
+ *   search_space: { peak_threshold: [10, 11, 12], run_start_threshold: { min: 25, max: 35, step: 2.5 } },
+ *   strategy: 'grid' | 'random', iterations?: 50,   // iterations only for random
+ *   metric?: 'mape' | 'mae' | 'abs_bias', base_params?: {...}, top_n?: 10,
+ *   save_best?: true, save_to?: [{ collar_id, session_id }] // defaults to the searched sessions
+ * }
+ * Returns 202 with job_id; poll GET /step-counter-params/search/:job_id
+ */
+app.post('/step-counter-params/search', requireAuth('user'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const sessions = Array.isArray(body.sessions) ? body.sessions : [];
+    const strategy = body.strategy || 'grid';
+    const metric = body.metric || 'mape';
+
+    if (sessions.length === 0 || sessions.some(s => !s || !s.collar_id || !s.session_id)) {
+      return res.status(400).json({ error: 'sessions must be a non-empty list of { collar_id, session_id }' });
+    }
+    if (sessions.length > PARAM_SEARCH_MAX_SESSIONS) {
+      return res.status(400).json({ error: `At most ${PARAM_SEARCH_MAX_SESSIONS} sessions per search` });
+    }
+    for (const s of sessions) {
+      if (denyOtherCollar(req, res, s.collar_id)) return;
+    }
+    if (!['grid', 'random'].includes(strategy)) {
+      return res.status(400).json({ error: 'strategy must be grid or random' });
+    }
+    if (!PARAM_SEARCH_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `metric must be one of ${PARAM_SEARCH_METRICS.join(', ')}` });
+    }
+
+    const { params: baseOverrides, invalid } = pickStepCounterParams(body.base_params);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid base_params: ${invalid.join(', ')}` });
+    }
+
+    const { space, error: spaceError } = normalizeParamSearchSpace(body.search_space);
+    if (spaceError) {
+      return res.status(400).json({ error: spaceError });
+    }
+    const { candidates, error: candidateError } = buildParamSearchCandidates(space, strategy, body.iterations);
+    if (candidateError) {
+      return res.status(400).json({ error: candidateError });
+    }
+
+    for (const s of sessions) {
+      const isValid = await validateCompositeSession(s.collar_id, s.session_id);
+      if (!isValid) {
+        return res.status(404).json({ error: `Session not found: ${s.collar_id}/${s.session_id}` });
+      }
+      const { rows } = await pool.query(
+        'SELECT 1 FROM step_ground_truth WHERE collar_id = $1 AND session_id = $2 LIMIT 1',
+        [s.collar_id, s.session_id]
+      );
+      if (rows.length === 0) {
+        return res.status(400).json({ error: `No ground-truth labels for ${s.collar_id}/${s.session_id}` });
+      }
+    }
+    // Every searched session's samples are decoded into memory for the whole job
+    const { rows: sizeRows } = await pool.query(
+      `SELECT COALESCE(SUM(c.num_samples), 0)::bigint AS samples
+         FROM collar_chunks c
+         JOIN unnest($1::text[], $2::text[]) AS s(collar_id, session_id)
+           ON c.collar_id = s.collar_id AND c.session_id = s.session_id`,
+      [sessions.map(s => s.collar_id), sessions.map(s => s.session_id)]
+    );
+    if (Number(sizeRows[0].samples) > PARAM_SEARCH_MAX_SAMPLES) {
+      return res.status(400).json({
+        error: `Sessions hold ${sizeRows[0].samples} samples; a search replays at most ${PARAM_SEARCH_MAX_SAMPLES}`
+      });
+    }
+
+    const saveTo = Array.isArray(body.save_to) && body.save_to.length ? body.save_to : sessions;
+    if (body.save_best === true) {
+      for (const target of saveTo) {
+        if (denyOtherCollar(req, res, target && target.collar_id)) return;
+      }
+      for (const target of saveTo) {
+        const isValid = await validateCompositeSession(target.collar_id, target.session_id);
+        if (!isValid) {
+          return res.status(404).json({ error: `save_to session not found: ${target.collar_id}/${target.session_id}` });
+        }
+      }
+    }
+
+    for (const job of paramSearchJobs.values()) {
+      if (job.status === 'queued' || job.status === 'running') {
+        return res.status(409).json({ error: 'A parameter search is already running', job_id: job.job_id });
+      }
+    }
+
+    const job = {
+      job_id: crypto.randomBytes(8).toString('hex'),
+      status: 'queued',
+      strategy,
+      metric,
+      sessions: sessions.map(s => ({ collar_id: s.collar_id, session_id: s.session_id })),
+      search_space: space,
+      base_params: baseOverrides,
+      top_n: Math.max(1, Number(body.top_n) || 10),
+      save_best: body.save_best === true,
+      save_to: saveTo.map(s => ({ collar_id: s.collar_id, session_id: s.session_id })),
+      progress: { evaluated: 0, total: candidates.length },
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      baseline: null,
+      best: null,
+      results: [],
+      saved: null,
+      error: null
+    };
+    paramSearchJobs.set(job.job_id, job);
+
+    setImmediate(() => runParamSearchJob(job, candidates));
+
+    return res.status(202).json({ ok: true, job_id: job.job_id, status: job.status, total_candidates: candidates.length });
+  } catch (err) {
+    console.error('POST /step-counter-params/search error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /step-counter-params/search/:job_id
+ * Poll a parameter search job (progress, baseline, ranked results, saved params)
+ */
+app.get('/step-counter-params/search/:job_id', requireAuth('user'), async (req, res) => {
+  const job = paramSearchJobs.get(req.params.job_id);
+  if (!job) {
+    return res.status(404).json({ error: 'Search job not found' });
+  }
+  for (const s of [...job.sessions, ...job.save_to]) {
+    if (denyOtherCollar(req, res, s.collar_id)) return;
+  }
+  return res.json({ ok: true, job });
+});
+
+/* -----------------------------
+   Temperature Alert Threshold Routes
+   ----------------------------- */
+
+/**
+ * POST /alert-thresholds
+ * Set fever / hypothermia thresholds (estimated core °C) for a collar or a breed.
+ * Body: { collar_id | breed, fever_c, hypothermia_c, hysteresis_c, min_duration_s, changed_by }
+ * Omitted values fall back to the defaults.
+ */
+app.post('/alert-thresholds', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id, breed, changed_by } = req.body || {};
+
+    if (!collar_id === !breed) {
+      return res.status(400).json({ error: 'exactly one of collar_id or breed required' });
+    }
+    if ((collar_id && typeof collar_id !== 'string') || (breed && typeof breed !== 'string')) {
+      return res.status(400).json({ error: 'collar_id and breed must be strings' });
+    }
+    // Breed thresholds apply to every collar of the breed
+    if (breed && req.auth && req.auth.role === 'user' &&
+        denyRequest(req, res, 403, 'Breed thresholds require admin credentials')) return;
+    if (collar_id && denyOtherCollar(req, res, collar_id)) return;
+
+    const values = {};
+    for (const key of Object.keys(TEMPERATURE_ALERT_DEFAULTS)) {
+      const raw = req.body[key];
+      const num = raw === undefined ? TEMPERATURE_ALERT_DEFAULTS[key] : Number(raw);
+      if (!Number.isFinite(num) || (key !== 'fever_c' && key !== 'hypothermia_c' && num < 0)) {
+        return res.status(400).json({ error: `${key} must be a number` });
+      }
+      values[key] = num;
+    }
+    if (values.hypothermia_c >= values.fever_c) {
+      return res.status(400).json({ error: 'hypothermia_c must be below fever_c' });
+    }
+
+    if (collar_id) {
+      const { rows: collarRows } = await pool.query('SELECT 1 FROM collars WHERE collar_id = $1', [collar_id]);
+      if (collarRows.length === 0) {
+        return res.status(404).json({ error: 'collar not found' });
+      }
+    }
+
+    const conflict = collar_id
+      ? 'ON CONFLICT (collar_id) WHERE collar_id IS NOT NULL'
+      : 'ON CONFLICT (lower(breed)) WHERE breed IS NOT NULL';
+
+    const { rows } = await pool.query(
+      `INSERT INTO temperature_alert_thresholds
+         (collar_id, breed, fever_c, hypothermia_c, hysteresis_c, min_duration_s, updated_by, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,NOW(),NOW())
+       ${conflict} DO UPDATE SET
+         fever_c = EXCLUDED.fever_c,
+         hypothermia_c = EXCLUDED.hypothermia_c,
+         hysteresis_c = EXCLUDED.hysteresis_c,
+         min_duration_s = EXCLUDED.min_duration_s,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+       RETURNING *`,
+      [collar_id || null, collar_id ? null : breed, values.fever_c, values.hypothermia_c,
+       values.hysteresis_c, Math.round(values.min_duration_s), changed_by || 'api']
+    );
+
+    return res.json({ ok: true, thresholds: rows[0] });
+  } catch (err) {
+    console.error('POST /alert-thresholds error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /alert-thresholds/:collar_id
+ * Effective thresholds for a collar (collar -> breed -> defaults)
+ */
+app.get('/alert-thresholds/:collar_id', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id } = req.params;
+
+    const { rows: collarRows } = await pool.query('SELECT * FROM collars WHERE collar_id = $1', [collar_id]);
+    if (collarRows.length === 0) {
+      return res.status(404).json({ error: 'not found' });
+    }
+
+    const thresholds = await getTemperatureAlertThresholds(collarRows[0]);
+    return res.json({ ok: true, collar_id, thresholds });
+  } catch (err) {
+    console.error('GET /alert-thresholds/:collar_id error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 /* -----------------------------
    Config History Routes
    ----------------------------- */
@@ -1345,13 +7104,14 @@ app.get('/step-counter-params/:collar_id', async (req, res) => {
  * POST /config
  * Insert new config record for a session
  */
-app.post('/config', async (req, res) => {
+app.post('/config', requireAuth('user'), async (req, res) => {
   try {
     const { collar_id, session_id, emissivity, ssid, password, changed_by } = req.body;
 
     if (!collar_id || !session_id) {
       return res.status(400).json({ error: 'collar_id and session_id required' });
     }
+    if (denyOtherCollar(req, res, collar_id)) return;
 
     // Validate session exists for this collar
     const isValid = await validateCompositeSession(collar_id, session_id);
@@ -1378,7 +7138,7 @@ app.post('/config', async (req, res) => {
  * GET /config/:collar_id
  * Get latest config for active session (or specific session if session_id provided)
  */
-app.get('/config/:collar_id', async (req, res) => {
+app.get('/config/:collar_id', requireAuth('user', 'device'), async (req, res) => {
   try {
     const { collar_id } = req.params;
     let { session_id } = req.query;
@@ -1415,6 +7175,367 @@ app.get('/config/:collar_id', async (req, res) => {
   }
 });
 
+/* -----------------------------
+   Credential Routes
+   ----------------------------- */
+
+/**
+ * POST /collars/:collar_id/device-keys
+ * Issue a device key for the collar. The key is only returned here; earlier keys stay
+ * valid until revoked (rotate by issuing, flashing the collar, then revoking the old one).
+ */
+app.post('/collars/:collar_id/device-keys', requireAuth('admin'), async (req, res) => {
+  try {
+    const { collar_id } = req.params;
+    const { rows: collarRows } = await pool.query('SELECT 1 FROM collars WHERE collar_id = $1', [collar_id]);
+    if (collarRows.length === 0) {
+      return res.status(404).json({ error: 'Collar not found' });
+    }
+
+    const key = generateSecret(DEVICE_KEY_PREFIX);
+    const { rows } = await pool.query(
+      `INSERT INTO collar_device_keys (key_id, collar_id, key_hash, key_prefix, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING key_id, collar_id, key_prefix, created_by, created_at`,
+      [crypto.randomBytes(8).toString('hex'), collar_id, hashSecret(key), key.slice(0, 10), authLabel(req.auth)]
+    );
+    return res.status(201).json({ ok: true, device_key: rows[0], key });
+  } catch (err) {
+    console.error('POST /collars/:collar_id/device-keys error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /collars/:collar_id/device-keys
+ * The collar's device keys (prefix only), including revoked ones
+ */
+app.get('/collars/:collar_id/device-keys', requireAuth('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT key_id, collar_id, key_prefix, created_by, created_at, revoked_at
+         FROM collar_device_keys
+        WHERE collar_id = $1
+        ORDER BY created_at DESC`,
+      [req.params.collar_id]
+    );
+    return res.json({ ok: true, collar_id: req.params.collar_id, device_keys: rows });
+  } catch (err) {
+    console.error('GET /collars/:collar_id/device-keys error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /collars/:collar_id/device-keys/:key_id
+ * Revoke a device key (takes effect on the next request)
+ */
+app.delete('/collars/:collar_id/device-keys/:key_id', requireAuth('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE collar_device_keys SET revoked_at = COALESCE(revoked_at, NOW())
+        WHERE collar_id = $1 AND key_id = $2
+        RETURNING key_id, collar_id, key_prefix, created_by, created_at, revoked_at`,
+      [req.params.collar_id, req.params.key_id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Device key not found' });
+    }
+    return res.json({ ok: true, device_key: rows[0] });
+  } catch (err) {
+    console.error('DELETE /collars/:collar_id/device-keys/:key_id error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /collars/:collar_id/signing-keys
+ * Issue an HMAC signing key for the collar's chunk uploads. The secret is only returned
+ * here. From now on the collar's uploads must be signed (see Chunk signatures).
+ */
+app.post('/collars/:collar_id/signing-keys', requireAuth('admin'), async (req, res) => {
+  try {
+    const { collar_id } = req.params;
+    const { rows: collarRows } = await pool.query('SELECT 1 FROM collars WHERE collar_id = $1', [collar_id]);
+    if (collarRows.length === 0) {
+      return res.status(404).json({ error: 'Collar not found' });
+    }
+
+    if (!SIGNING_KEY_ENCRYPTION_KEY) {
+      return res.status(503).json({ error: 'SIGNING_KEY_ENCRYPTION_KEY is not set; signing secrets cannot be stored' });
+    }
+
+    const key_id = crypto.randomBytes(8).toString('hex');
+    const secret = generateSecret(SIGNING_KEY_PREFIX);
+    const { rows } = await pool.query(
+      `INSERT INTO collar_signing_keys (key_id, collar_id, secret, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING key_id, collar_id, created_by, created_at`,
+      [key_id, collar_id, encryptSigningSecret(key_id, secret), authLabel(req.auth)]
+    );
+    return res.status(201).json({ ok: true, signing_key: rows[0], secret });
+  } catch (err) {
+    console.error('POST /collars/:collar_id/signing-keys error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /collars/:collar_id/signing-keys
+ * The collar's signing keys (without secrets), including revoked ones
+ */
+app.get('/collars/:collar_id/signing-keys', requireAuth('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT key_id, collar_id, created_by, created_at, revoked_at
+         FROM collar_signing_keys
+        WHERE collar_id = $1
+        ORDER BY created_at DESC`,
+      [req.params.collar_id]
+    );
+    return res.json({ ok: true, collar_id: req.params.collar_id, signing_keys: rows });
+  } catch (err) {
+    console.error('GET /collars/:collar_id/signing-keys error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /collars/:collar_id/signing-keys/:key_id
+ * Revoke a signing key. Uploads stay required to be signed while the collar has another active key.
+ */
+app.delete('/collars/:collar_id/signing-keys/:key_id', requireAuth('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE collar_signing_keys SET revoked_at = COALESCE(revoked_at, NOW())
+        WHERE collar_id = $1 AND key_id = $2
+        RETURNING key_id, collar_id, created_by, created_at, revoked_at`,
+      [req.params.collar_id, req.params.key_id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Signing key not found' });
+    }
+    return res.json({ ok: true, signing_key: rows[0] });
+  } catch (err) {
+    console.error('DELETE /collars/:collar_id/signing-keys/:key_id error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /collars/:collar_id/signature-failures?since=ISO&limit=100
+ * Rejected chunk signatures for the collar (default: last 7 days), newest first, with counts per reason
+ */
+app.get('/collars/:collar_id/signature-failures', requireAuth('user'), async (req, res) => {
+  try {
+    const { collar_id } = req.params;
+    const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 7 * 24 * 3600 * 1000);
+    if (Number.isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'since must be an ISO timestamp' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+
+    const { rows: failures } = await pool.query(
+      `SELECT id, key_id, reason, detail, remote_addr, created_at
+         FROM chunk_signature_failures
+        WHERE collar_id = $1 AND created_at >= $2
+        ORDER BY created_at DESC
+        LIMIT $3`,
+      [collar_id, since.toISOString(), limit]
+    );
+    const { rows: counts } = await pool.query(
+      `SELECT reason, COUNT(*)::int AS count
+         FROM chunk_signature_failures
+        WHERE collar_id = $1 AND created_at >= $2
+        GROUP BY reason
+        ORDER BY count DESC`,
+      [collar_id, since.toISOString()]
+    );
+
+    return res.json({
+      ok: true,
+      collar_id,
+      since: since.toISOString(),
+      total: counts.reduce((sum, r) => sum + r.count, 0),
+      by_reason: Object.fromEntries(counts.map(r => [r.reason, r.count])),
+      failures
+    });
+  } catch (err) {
+    console.error('GET /collars/:collar_id/signature-failures error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Collar ids from a request body that do not exist (collar_ids must be validated as strings first)
+async function missingCollars(collar_ids) {
+  const { rows } = await pool.query('SELECT collar_id FROM collars WHERE collar_id = ANY($1::text[])', [collar_ids]);
+  const found = new Set(rows.map(r => r.collar_id));
+  return collar_ids.filter(id => !found.has(id));
+}
+
+/**
+ * POST /admin/tokens
+ * Issue an API token. Body: { name, role?: 'user' | 'admin' (default user), collar_ids?: [...] }.
+ * A user token only reaches the collars in collar_ids (and collars it creates).
+ * The token is only returned here.
+ */
+app.post('/admin/tokens', requireAuth('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const role = body.role || 'user';
+    const collarIds = body.collar_ids === undefined ? [] : body.collar_ids;
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return res.status(400).json({ error: 'name required' });
+    }
+    if (!API_TOKEN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${API_TOKEN_ROLES.join(', ')}` });
+    }
+    if (!Array.isArray(collarIds) || collarIds.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({ error: 'collar_ids must be a list of collar ids' });
+    }
+    if (role === 'admin' && collarIds.length > 0) {
+      return res.status(400).json({ error: 'admin tokens reach every collar; collar_ids is for user tokens' });
+    }
+    const missing = await missingCollars(collarIds);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `collar not found: ${missing.join(', ')}` });
+    }
+
+    const token = generateSecret(API_TOKEN_PREFIX);
+    const client = await pool.connect();
+    let apiToken;
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        `INSERT INTO api_tokens (token_id, name, role, token_hash, token_prefix, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING token_id, name, role, token_prefix, created_by, created_at`,
+        [crypto.randomBytes(8).toString('hex'), body.name.trim(), role, hashSecret(token), token.slice(0, 10),
+         authLabel(req.auth)]
+      );
+      await client.query(
+        `INSERT INTO api_token_collars (token_id, collar_id, granted_by)
+         SELECT $1, unnest($2::text[]), $3
+         ON CONFLICT DO NOTHING`,
+        [rows[0].token_id, collarIds, authLabel(req.auth)]
+      );
+      await client.query('COMMIT');
+      apiToken = { ...rows[0], collar_ids: [...new Set(collarIds)] };
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      throw e;
+    } finally {
+      client.release();
+    }
+    return res.status(201).json({ ok: true, api_token: apiToken, token });
+  } catch (err) {
+    console.error('POST /admin/tokens error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /admin/tokens/:token_id/collars
+ * Grant collars to a user token. Body: { collar_ids: [...] }
+ */
+app.post('/admin/tokens/:token_id/collars', requireAuth('admin'), async (req, res) => {
+  try {
+    const collarIds = (req.body || {}).collar_ids;
+    if (!Array.isArray(collarIds) || collarIds.length === 0 || collarIds.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({ error: 'collar_ids must be a non-empty list of collar ids' });
+    }
+    const { rows: tokenRows } = await pool.query('SELECT role FROM api_tokens WHERE token_id = $1', [req.params.token_id]);
+    if (tokenRows.length === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    if (tokenRows[0].role !== 'user') {
+      return res.status(400).json({ error: 'admin tokens reach every collar; collars are granted to user tokens' });
+    }
+    const missing = await missingCollars(collarIds);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `collar not found: ${missing.join(', ')}` });
+    }
+
+    await pool.query(
+      `INSERT INTO api_token_collars (token_id, collar_id, granted_by)
+       SELECT $1, unnest($2::text[]), $3
+       ON CONFLICT DO NOTHING`,
+      [req.params.token_id, collarIds, authLabel(req.auth)]
+    );
+    const { rows } = await pool.query(
+      'SELECT collar_id FROM api_token_collars WHERE token_id = $1 ORDER BY collar_id',
+      [req.params.token_id]
+    );
+    return res.json({ ok: true, token_id: req.params.token_id, collar_ids: rows.map(r => r.collar_id) });
+  } catch (err) {
+    console.error('POST /admin/tokens/:token_id/collars error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /admin/tokens/:token_id/collars/:collar_id
+ * Withdraw a collar from a user token (takes effect on the next request)
+ */
+app.delete('/admin/tokens/:token_id/collars/:collar_id', requireAuth('admin'), async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      'DELETE FROM api_token_collars WHERE token_id = $1 AND collar_id = $2',
+      [req.params.token_id, req.params.collar_id]
+    );
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Collar is not granted to this token' });
+    }
+    return res.json({ ok: true, token_id: req.params.token_id, collar_id: req.params.collar_id });
+  } catch (err) {
+    console.error('DELETE /admin/tokens/:token_id/collars/:collar_id error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /admin/tokens
+ * API tokens (prefix only), including revoked ones
+ */
+app.get('/admin/tokens', requireAuth('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT t.token_id, t.name, t.role, t.token_prefix, t.created_by, t.created_at, t.revoked_at,
+              COALESCE(array_agg(c.collar_id ORDER BY c.collar_id) FILTER (WHERE c.collar_id IS NOT NULL), '{}') AS collar_ids
+         FROM api_tokens t
+         LEFT JOIN api_token_collars c ON c.token_id = t.token_id
+        GROUP BY t.token_id
+        ORDER BY t.created_at DESC`
+    );
+    return res.json({ ok: true, api_tokens: rows });
+  } catch (err) {
+    console.error('GET /admin/tokens error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /admin/tokens/:token_id
+ * Revoke an API token (takes effect on the next request)
+ */
+app.delete('/admin/tokens/:token_id', requireAuth('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE api_tokens SET revoked_at = COALESCE(revoked_at, NOW())
+        WHERE token_id = $1
+        RETURNING token_id, name, role, token_prefix, created_by, created_at, revoked_at`,
+      [req.params.token_id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    return res.json({ ok: true, api_token: rows[0] });
+  } catch (err) {
+    console.error('DELETE /admin/tokens/:token_id error', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 /* -----------------------------
    ✅ NEW: Admin & Health Endpoints
    ----------------------------- */
@@ -1423,7 +7544,7 @@ app.get('/config/:collar_id', async (req, res) => {
  * POST /admin/cleanup-sessions
  * Manual cleanup endpoint (only clears MEMORY, not DB)
  */
-app.post('/admin/cleanup-sessions', async (req, res) => {
+app.post('/admin/cleanup-sessions', requireAuth('admin'), async (req, res) => {
   try {
     const beforeCount = stepCounterBySession.size;
     cleanupInactiveSessions();
@@ -1478,9 +7599,18 @@ app.get('/health', async (req, res) => {
 
 /* -----------------------------
    Start server
+   (only when run directly; tests require the module for the step counters)
    ----------------------------- */
-app.listen(PORT, () => {
-  console.log(`Collar backend listening on ${PORT}`);
-  console.log(`Memory cleanup runs every ${SESSION_CLEANUP_INTERVAL_MS / 60000} minutes`);
-  console.log(`Sessions inactive for >${SESSION_INACTIVE_THRESHOLD_MS / 60000} minutes will have memory cleared`);
-});
\ No newline at end of file
+if (require.main === module) {
+  setInterval(pruneSignatureRecords, SIGNATURE_PRUNE_INTERVAL_MS);
+  encryptPlaintextSigningSecrets();
+  setInterval(cleanupInactiveSessions, SESSION_CLEANUP_INTERVAL_MS);
+
+  app.listen(PORT, () => {
+    console.log(`Collar backend listening on ${PORT}`);
+    console.log(`Memory cleanup runs every ${SESSION_CLEANUP_INTERVAL_MS / 60000} minutes`);
+    console.log(`Sessions inactive for >${SESSION_INACTIVE_THRESHOLD_MS / 60000} minutes will have memory cleared`);
+  });
+}
+
+module.exports = { app, StepCounter, ZeroCrossStepCounter, createStepCounter };
\ No newline at end of file
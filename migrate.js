@@ -0,0 +1,202 @@
+/**
+ * migrate.js - versioned schema migrations for the collar backend
+ *
+ * Usage:
+ *  node migrate.js up [version]   -> apply pending migrations (optionally up to and including version)
+ *  node migrate.js down [count]   -> roll back the last `count` applied migrations (default 1)
+ *  node migrate.js status         -> list migrations and whether they are applied
+ *
+ * Notes:
+ *  - Migrations live in ./migrations as NNN_name.js exporting { up, down } SQL strings
+ *  - Applied versions are tracked in schema_migrations
+ *  - Each migration runs in its own transaction; an advisory lock prevents concurrent runs
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+const MIGRATION_LOCK_ID = 872341; // arbitrary key for pg_advisory_lock
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: Number(process.env.DB_PORT),
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  // Enable SSL for AWS Aurora
+  ssl: { rejectUnauthorized: false },
+});
+
+/* -----------------------------
+   Load migration files (ordered by version)
+   ----------------------------- */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = MIGRATION_FILE_RE.exec(file);
+      if (!match) return null;
+      const mod = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof mod.up !== 'string' || typeof mod.down !== 'string') {
+        throw new Error(`migration ${file} must export up and down SQL strings`);
+      }
+      return { version: match[1], name: match[2], up: mod.up, down: mod.down };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  const seen = new Set();
+  for (const m of migrations) {
+    if (seen.has(m.version)) {
+      throw new Error(`duplicate migration version ${m.version}`);
+    }
+    seen.add(m.version);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version    TEXT PRIMARY KEY,
+       name       TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+}
+
+async function getAppliedVersions(client) {
+  const { rows } = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version::bigint ASC'
+  );
+  return rows;
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    throw e;
+  }
+}
+
+/* -----------------------------
+   Commands
+   ----------------------------- */
+async function migrateUp(client, migrations, targetVersion) {
+  const applied = new Set((await getAppliedVersions(client)).map(r => r.version));
+  const pending = migrations.filter(m =>
+    !applied.has(m.version) &&
+    (targetVersion === undefined || Number(m.version) <= Number(targetVersion))
+  );
+
+  if (pending.length === 0) {
+    console.log('[migrate] Nothing to apply, schema is up to date');
+    return;
+  }
+
+  for (const m of pending) {
+    await runInTransaction(client, async () => {
+      await client.query(m.up);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())',
+        [m.version, m.name]
+      );
+    });
+    console.log(`[migrate] Applied ${m.version}_${m.name}`);
+  }
+}
+
+async function migrateDown(client, migrations, count) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const applied = await getAppliedVersions(client);
+  const toRevert = applied.slice(-count).reverse();
+
+  if (toRevert.length === 0) {
+    console.log('[migrate] Nothing to roll back');
+    return;
+  }
+
+  for (const row of toRevert) {
+    const m = byVersion.get(row.version);
+    if (!m) {
+      throw new Error(`migration file for applied version ${row.version} not found`);
+    }
+    await runInTransaction(client, async () => {
+      await client.query(m.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+    });
+    console.log(`[migrate] Reverted ${m.version}_${m.name}`);
+  }
+}
+
+async function migrationStatus(client, migrations) {
+  const applied = new Map((await getAppliedVersions(client)).map(r => [r.version, r]));
+  for (const m of migrations) {
+    const row = applied.get(m.version);
+    const state = row ? `applied ${new Date(row.applied_at).toISOString()}` : 'pending';
+    console.log(`${m.version}_${m.name}\t${state}`);
+  }
+  const known = new Set(migrations.map(m => m.version));
+  for (const version of applied.keys()) {
+    if (!known.has(version)) {
+      console.log(`${version}_${applied.get(version).name}\tapplied (file missing)`);
+    }
+  }
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const migrations = loadMigrations();
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error('Usage: node migrate.js <up [version]|down [count]|status>');
+    process.exitCode = 1;
+    return;
+  }
+  // A target that matches no migration file would silently apply nothing
+  let targetVersion;
+  if (command === 'up' && arg !== undefined) {
+    const target = /^\d+$/.test(arg) ? migrations.find(m => Number(m.version) === Number(arg)) : null;
+    if (!target) {
+      console.error(`[migrate] Unknown target version ${arg}; expected one of ${migrations.map(m => m.version).join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+    targetVersion = target.version;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    if (command === 'up') {
+      await migrateUp(client, migrations, targetVersion);
+    } else if (command === 'down') {
+      const count = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error('down count must be a positive integer');
+      }
+      await migrateDown(client, migrations, count);
+    } else {
+      await migrationStatus(client, migrations);
+    }
+  } finally {
+    try { await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]); } catch (_) {}
+    client.release();
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('[migrate] Failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,127 @@
+/**
+ * 001_initial_schema
+ * Base tables queried by app.js: collars, collar_sessions, collar_chunks,
+ * step_counter_params, collar_config_history.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE collars (
+      collar_id          TEXT PRIMARY KEY,
+      dog_name           TEXT,
+      breed              TEXT,
+      coat_type          TEXT,
+      height             DOUBLE PRECISION,
+      weight             DOUBLE PRECISION,
+      sex                TEXT,
+      age                DOUBLE PRECISION,
+      temperature_irgun  DOUBLE PRECISION,
+      collar_orientation TEXT,
+      medical_info       TEXT,
+      remarks            TEXT,
+      output_metric      JSONB NOT NULL DEFAULT '{}'::jsonb,
+      mapping_json       JSONB,
+      created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at         TIMESTAMPTZ
+    );
+
+    CREATE INDEX collars_created_at_idx ON collars (created_at DESC);
+
+    CREATE TABLE collar_sessions (
+      id           BIGSERIAL PRIMARY KEY,
+      collar_id    TEXT NOT NULL REFERENCES collars (collar_id) ON DELETE CASCADE,
+      session_id   TEXT NOT NULL,
+      active       BOOLEAN NOT NULL DEFAULT FALSE,
+      created_by   TEXT,
+      dog_metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (collar_id, session_id)
+    );
+
+    -- Only one active session per collar
+    CREATE UNIQUE INDEX collar_sessions_one_active_idx
+      ON collar_sessions (collar_id) WHERE active;
+
+    CREATE INDEX collar_sessions_collar_created_idx
+      ON collar_sessions (collar_id, created_at DESC);
+
+    CREATE TABLE collar_chunks (
+      id                   BIGSERIAL PRIMARY KEY,
+      collar_id            TEXT NOT NULL,
+      session_id           TEXT NOT NULL,
+      chunk_key            TEXT,
+      start_sample         BIGINT,
+      num_samples          INTEGER NOT NULL DEFAULT 0,
+      nominal_period_ms    DOUBLE PRECISION,
+      real_time_iso        TEXT,
+      temp_first_timestamp TIMESTAMPTZ,
+      temp_data            JSONB NOT NULL DEFAULT '[]'::jsonb,
+      raw_base64_json      JSONB,
+      raw_imu_base64       TEXT,
+      sensor_summary       JSONB NOT NULL DEFAULT '{}'::jsonb,
+      output_metric        JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    -- Step totals, last_sample_number recovery and session-scoped temperatures
+    CREATE INDEX collar_chunks_collar_session_idx
+      ON collar_chunks (collar_id, session_id, created_at);
+
+    -- Collar-wide temperature_list
+    CREATE INDEX collar_chunks_collar_created_idx
+      ON collar_chunks (collar_id, created_at);
+
+    CREATE TABLE step_counter_params (
+      id                       BIGSERIAL PRIMARY KEY,
+      collar_id                TEXT NOT NULL,
+      session_id               TEXT NOT NULL,
+      peak_threshold           DOUBLE PRECISION,
+      peak_window_n            INTEGER,
+      filter_window_size       INTEGER,
+      process_window_samples   INTEGER,
+      run_start_threshold      DOUBLE PRECISION,
+      shake_start_threshold    DOUBLE PRECISION,
+      sample_rate_hz           DOUBLE PRECISION,
+      valley_window_n          INTEGER,
+      run_end_threshold_high   DOUBLE PRECISION,
+      run_end_threshold_low    DOUBLE PRECISION,
+      run_peak_valley_diff     DOUBLE PRECISION,
+      run_scaling_factor       DOUBLE PRECISION,
+      baseline_step_samples    INTEGER,
+      shake_peak_valley_diff   DOUBLE PRECISION,
+      shake_regional_peak_max  DOUBLE PRECISION,
+      shake_variance_threshold DOUBLE PRECISION,
+      created_at               TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at               TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (collar_id, session_id),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE collar_config_history (
+      id         BIGSERIAL PRIMARY KEY,
+      collar_id  TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      emissivity DOUBLE PRECISION,
+      ssid       TEXT,
+      password   TEXT,
+      changed_by TEXT,
+      changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    -- GET /config/:collar_id reads the latest row per session
+    CREATE INDEX collar_config_history_latest_idx
+      ON collar_config_history (collar_id, session_id, changed_at DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS collar_config_history;
+    DROP TABLE IF EXISTS step_counter_params;
+    DROP TABLE IF EXISTS collar_chunks;
+    DROP TABLE IF EXISTS collar_sessions;
+    DROP TABLE IF EXISTS collars;
+  `
+};
@@ -0,0 +1,31 @@
+/**
+ * 002_step_ground_truth
+ * Ground-truth step counts over time ranges of a session (e.g. from video annotation),
+ * used to evaluate StepCounter accuracy.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE step_ground_truth (
+      id         BIGSERIAL PRIMARY KEY,
+      collar_id  TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      start_time TIMESTAMPTZ NOT NULL,
+      end_time   TIMESTAMPTZ NOT NULL,
+      true_steps INTEGER NOT NULL CHECK (true_steps >= 0),
+      source     TEXT,
+      notes      TEXT,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (end_time > start_time),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX step_ground_truth_session_idx
+      ON step_ground_truth (collar_id, session_id, start_time);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS step_ground_truth;
+  `
+};
@@ -0,0 +1,18 @@
+/**
+ * 003_step_counter_algorithm
+ * Lets each session's step_counter_params name a step detection algorithm
+ * plus algorithm-specific tuning that has no dedicated column.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE step_counter_params
+      ADD COLUMN algorithm TEXT NOT NULL DEFAULT 'sheep_jiang2023',
+      ADD COLUMN algorithm_params JSONB NOT NULL DEFAULT '{}'::jsonb;
+  `,
+
+  down: `
+    ALTER TABLE step_counter_params
+      DROP COLUMN IF EXISTS algorithm_params,
+      DROP COLUMN IF EXISTS algorithm;
+  `
+};
@@ -0,0 +1,24 @@
+/**
+ * 004_step_counter_state
+ * Full serialized StepCounter state per session (filter buffer, acc/gyro buffers,
+ * pending peaks/valleys, counters) so a counter resumes exactly after cache eviction or restart.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE step_counter_state (
+      collar_id          TEXT NOT NULL,
+      session_id         TEXT NOT NULL,
+      algorithm          TEXT NOT NULL,
+      state              JSONB NOT NULL,
+      last_sample_number BIGINT,
+      updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (collar_id, session_id),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS step_counter_state;
+  `
+};
@@ -0,0 +1,34 @@
+/**
+ * 005_collar_events
+ * Discrete behaviour events detected from IMU (scratching bouts, head shakes).
+ */
+module.exports = {
+  up: `
+    CREATE TABLE collar_events (
+      id          BIGSERIAL PRIMARY KEY,
+      collar_id   TEXT NOT NULL,
+      session_id  TEXT NOT NULL,
+      chunk_id    BIGINT REFERENCES collar_chunks (id) ON DELETE SET NULL,
+      type        TEXT NOT NULL,
+      start_time  TIMESTAMPTZ NOT NULL,
+      end_time    TIMESTAMPTZ NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      intensity   DOUBLE PRECISION,
+      peak_gyro   DOUBLE PRECISION,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    -- GET /collars/:collar_id/events filters by type and time
+    CREATE INDEX collar_events_collar_type_time_idx
+      ON collar_events (collar_id, type, start_time);
+
+    CREATE INDEX collar_events_session_idx
+      ON collar_events (collar_id, session_id, type, end_time DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS collar_events;
+  `
+};
@@ -0,0 +1,60 @@
+/**
+ * 006_temperature_alerts
+ * Fever / hypothermia thresholds (per collar or per breed) and alert records.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE temperature_alert_thresholds (
+      id             BIGSERIAL PRIMARY KEY,
+      collar_id      TEXT REFERENCES collars (collar_id) ON DELETE CASCADE,
+      breed          TEXT,
+      fever_c        DOUBLE PRECISION NOT NULL,
+      hypothermia_c  DOUBLE PRECISION NOT NULL,
+      hysteresis_c   DOUBLE PRECISION NOT NULL,
+      min_duration_s INTEGER NOT NULL,
+      updated_by     TEXT,
+      created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK ((collar_id IS NULL) <> (breed IS NULL)),
+      CHECK (hypothermia_c < fever_c)
+    );
+
+    CREATE UNIQUE INDEX temperature_alert_thresholds_collar_idx
+      ON temperature_alert_thresholds (collar_id) WHERE collar_id IS NOT NULL;
+
+    CREATE UNIQUE INDEX temperature_alert_thresholds_breed_idx
+      ON temperature_alert_thresholds (lower(breed)) WHERE breed IS NOT NULL;
+
+    CREATE TABLE temperature_alerts (
+      id              BIGSERIAL PRIMARY KEY,
+      collar_id       TEXT NOT NULL,
+      session_id      TEXT NOT NULL,
+      type            TEXT NOT NULL CHECK (type IN ('fever', 'hypothermia')),
+      status          TEXT NOT NULL CHECK (status IN ('pending', 'open', 'closed')),
+      started_at      TIMESTAMPTZ NOT NULL,
+      opened_at       TIMESTAMPTZ,
+      ended_at        TIMESTAMPTZ,
+      threshold_c     DOUBLE PRECISION NOT NULL,
+      peak_temp_c     DOUBLE PRECISION NOT NULL,
+      last_temp_c     DOUBLE PRECISION NOT NULL,
+      reference_core_c DOUBLE PRECISION,
+      core_offset_c   DOUBLE PRECISION,
+      created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    -- At most one pending/open alert per collar and type
+    CREATE UNIQUE INDEX temperature_alerts_one_active_idx
+      ON temperature_alerts (collar_id, type) WHERE status <> 'closed';
+
+    CREATE INDEX temperature_alerts_collar_started_idx
+      ON temperature_alerts (collar_id, started_at DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS temperature_alerts;
+    DROP TABLE IF EXISTS temperature_alert_thresholds;
+  `
+};
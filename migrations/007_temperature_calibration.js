@@ -0,0 +1,41 @@
+/**
+ * 007_temperature_calibration
+ * Manual core temperature references (IR gun / rectal) taken during a session,
+ * used to fit the skin-to-core calibration model. Alerts record the model they used.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE temperature_references (
+      id          BIGSERIAL PRIMARY KEY,
+      collar_id   TEXT NOT NULL,
+      session_id  TEXT NOT NULL,
+      core_temp_c DOUBLE PRECISION NOT NULL,
+      measured_at TIMESTAMPTZ NOT NULL,
+      source      TEXT NOT NULL DEFAULT 'irgun',
+      notes       TEXT,
+      created_by  TEXT,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX temperature_references_session_idx
+      ON temperature_references (collar_id, session_id, measured_at);
+
+    -- Pairing a reference with skin readings looks chunks up by time
+    CREATE INDEX collar_chunks_session_temp_ts_idx
+      ON collar_chunks (collar_id, session_id, temp_first_timestamp);
+
+    ALTER TABLE temperature_alerts
+      ADD COLUMN core_gain DOUBLE PRECISION,
+      ADD COLUMN calibration_source TEXT;
+  `,
+
+  down: `
+    ALTER TABLE temperature_alerts
+      DROP COLUMN IF EXISTS calibration_source,
+      DROP COLUMN IF EXISTS core_gain;
+    DROP INDEX IF EXISTS collar_chunks_session_temp_ts_idx;
+    DROP TABLE IF EXISTS temperature_references;
+  `
+};
@@ -0,0 +1,14 @@
+/**
+ * 008_chunk_time_index
+ * Time-range lookups of a collar's chunks (timeseries) on the data timestamp.
+ */
+module.exports = {
+  up: `
+    CREATE INDEX collar_chunks_collar_data_ts_idx
+      ON collar_chunks (collar_id, (COALESCE(temp_first_timestamp, created_at)));
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS collar_chunks_collar_data_ts_idx;
+  `
+};
@@ -0,0 +1,16 @@
+/**
+ * 009_chunk_temperature_index
+ * Keyset paging of a collar's temperature readings (GET /collars/:collar_id temperature_list).
+ * The session-scoped listing uses collar_chunks_session_temp_ts_idx from 007.
+ */
+module.exports = {
+  up: `
+    CREATE INDEX collar_chunks_collar_temp_ts_idx
+      ON collar_chunks (collar_id, temp_first_timestamp, id)
+      WHERE temp_first_timestamp IS NOT NULL;
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS collar_chunks_collar_temp_ts_idx;
+  `
+};
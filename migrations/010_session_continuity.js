@@ -0,0 +1,66 @@
+/**
+ * 010_session_continuity
+ * Sample-number continuity per session: received sample ranges, the running
+ * continuity state (segment after resets, clock drift) and detected events.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE session_continuity (
+      collar_id     TEXT NOT NULL,
+      session_id    TEXT NOT NULL,
+      segment       INTEGER NOT NULL DEFAULT 0,
+      last_sample   BIGINT,
+      last_dev_ms   BIGINT,
+      last_ts_ms    DOUBLE PRECISION,
+      drift_ms      DOUBLE PRECISION,
+      drift_flagged BOOLEAN NOT NULL DEFAULT FALSE,
+      segments      JSONB NOT NULL DEFAULT '[]'::jsonb,
+      updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (collar_id, session_id),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE session_sample_ranges (
+      id           BIGSERIAL PRIMARY KEY,
+      collar_id    TEXT NOT NULL,
+      session_id   TEXT NOT NULL,
+      chunk_id     BIGINT REFERENCES collar_chunks (id) ON DELETE CASCADE,
+      segment      INTEGER NOT NULL,
+      first_sample BIGINT NOT NULL,
+      last_sample  BIGINT NOT NULL,
+      created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (last_sample >= first_sample),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX session_sample_ranges_session_idx
+      ON session_sample_ranges (collar_id, session_id, segment, first_sample);
+
+    CREATE TABLE session_continuity_events (
+      id           BIGSERIAL PRIMARY KEY,
+      collar_id    TEXT NOT NULL,
+      session_id   TEXT NOT NULL,
+      chunk_id     BIGINT REFERENCES collar_chunks (id) ON DELETE SET NULL,
+      type         TEXT NOT NULL CHECK (type IN ('gap', 'overlap', 'late', 'reset', 'drift')),
+      segment      INTEGER NOT NULL,
+      start_sample BIGINT,
+      end_sample   BIGINT,
+      sample_count BIGINT,
+      detail       JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX session_continuity_events_session_idx
+      ON session_continuity_events (collar_id, session_id, created_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS session_continuity_events;
+    DROP TABLE IF EXISTS session_sample_ranges;
+    DROP TABLE IF EXISTS session_continuity;
+  `
+};
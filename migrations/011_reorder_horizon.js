@@ -0,0 +1,27 @@
+/**
+ * 011_reorder_horizon
+ * Per-session reorder window for out-of-order chunks, and a continuity event for
+ * samples that arrived after the window had already moved past them.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE step_counter_params
+      ADD COLUMN reorder_horizon_samples INTEGER NOT NULL DEFAULT 3000;
+
+    ALTER TABLE session_continuity_events
+      DROP CONSTRAINT session_continuity_events_type_check,
+      ADD CONSTRAINT session_continuity_events_type_check
+        CHECK (type IN ('gap', 'overlap', 'late', 'too_late', 'reset', 'drift'));
+  `,
+
+  down: `
+    DELETE FROM session_continuity_events WHERE type = 'too_late';
+    ALTER TABLE session_continuity_events
+      DROP CONSTRAINT session_continuity_events_type_check,
+      ADD CONSTRAINT session_continuity_events_type_check
+        CHECK (type IN ('gap', 'overlap', 'late', 'reset', 'drift'));
+
+    ALTER TABLE step_counter_params
+      DROP COLUMN IF EXISTS reorder_horizon_samples;
+  `
+};
@@ -0,0 +1,32 @@
+/**
+ * 012_chunk_idempotency
+ * Identity of an uploaded chunk (idempotency key + sample range) so retries of
+ * PUT /chunks return the stored chunk instead of inserting a duplicate.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE collar_chunks
+      ADD COLUMN idempotency_key     TEXT,
+      ADD COLUMN first_sample_number BIGINT,
+      ADD COLUMN last_sample_number  BIGINT,
+      ADD COLUMN first_dev_ms        BIGINT;
+
+    CREATE INDEX collar_chunks_idempotency_key_idx
+      ON collar_chunks (collar_id, session_id, idempotency_key)
+      WHERE idempotency_key IS NOT NULL;
+
+    CREATE INDEX collar_chunks_sample_range_idx
+      ON collar_chunks (collar_id, session_id, first_sample_number)
+      WHERE first_sample_number IS NOT NULL;
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS collar_chunks_sample_range_idx;
+    DROP INDEX IF EXISTS collar_chunks_idempotency_key_idx;
+    ALTER TABLE collar_chunks
+      DROP COLUMN IF EXISTS first_dev_ms,
+      DROP COLUMN IF EXISTS last_sample_number,
+      DROP COLUMN IF EXISTS first_sample_number,
+      DROP COLUMN IF EXISTS idempotency_key;
+  `
+};
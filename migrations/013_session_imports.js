@@ -0,0 +1,34 @@
+/**
+ * 013_session_imports
+ * Bulk imports of recorded chunk files into a new session: the ordered file list,
+ * the resume checkpoint (files before next_file are ingested) and progress counters.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE session_imports (
+      import_id   TEXT PRIMARY KEY,
+      collar_id   TEXT NOT NULL,
+      session_id  TEXT NOT NULL,
+      source      TEXT NOT NULL,
+      status      TEXT NOT NULL DEFAULT 'queued',
+      files       JSONB NOT NULL DEFAULT '[]'::jsonb,
+      next_file   INTEGER NOT NULL DEFAULT 0,
+      progress    JSONB NOT NULL DEFAULT '{}'::jsonb,
+      error       TEXT,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ,
+      CHECK (status IN ('queued', 'running', 'failed', 'completed')),
+      FOREIGN KEY (collar_id, session_id)
+        REFERENCES collar_sessions (collar_id, session_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX session_imports_collar_idx
+      ON session_imports (collar_id, created_at DESC);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS session_imports_collar_idx;
+    DROP TABLE IF EXISTS session_imports;
+  `
+};
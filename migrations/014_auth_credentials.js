@@ -0,0 +1,39 @@
+/**
+ * 014_auth_credentials
+ * API credentials: per-collar device keys (chunk uploads) and user / admin tokens.
+ * Only SHA-256 hashes of the secrets are stored; revoked rows are kept for audit.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE collar_device_keys (
+      key_id     TEXT PRIMARY KEY,
+      collar_id  TEXT NOT NULL REFERENCES collars (collar_id) ON DELETE CASCADE,
+      key_hash   TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      revoked_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX collar_device_keys_collar_idx
+      ON collar_device_keys (collar_id);
+
+    CREATE TABLE api_tokens (
+      token_id     TEXT PRIMARY KEY,
+      name         TEXT NOT NULL,
+      role         TEXT NOT NULL,
+      token_hash   TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      created_by   TEXT,
+      created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      revoked_at   TIMESTAMPTZ,
+      CHECK (role IN ('user', 'admin'))
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS api_tokens;
+    DROP INDEX IF EXISTS collar_device_keys_collar_idx;
+    DROP TABLE IF EXISTS collar_device_keys;
+  `
+};
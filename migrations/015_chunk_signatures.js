@@ -0,0 +1,58 @@
+/**
+ * 015_chunk_signatures
+ * HMAC-signed chunk uploads: per-collar signing keys, nonces seen within the replay
+ * window, a log of rejected signatures per collar, and the key each stored chunk was
+ * verified with (NULL for unsigned uploads and imports).
+ */
+module.exports = {
+  up: `
+    CREATE TABLE collar_signing_keys (
+      key_id     TEXT PRIMARY KEY,
+      collar_id  TEXT NOT NULL REFERENCES collars (collar_id) ON DELETE CASCADE,
+      secret     TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      revoked_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX collar_signing_keys_collar_idx
+      ON collar_signing_keys (collar_id);
+
+    CREATE TABLE chunk_signature_nonces (
+      collar_id TEXT NOT NULL,
+      nonce     TEXT NOT NULL,
+      seen_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (collar_id, nonce)
+    );
+
+    CREATE INDEX chunk_signature_nonces_seen_idx
+      ON chunk_signature_nonces (seen_at);
+
+    CREATE TABLE chunk_signature_failures (
+      id          BIGSERIAL PRIMARY KEY,
+      collar_id   TEXT,
+      key_id      TEXT,
+      reason      TEXT NOT NULL,
+      detail      TEXT,
+      remote_addr TEXT,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX chunk_signature_failures_collar_idx
+      ON chunk_signature_failures (collar_id, created_at DESC);
+
+    ALTER TABLE collar_chunks
+      ADD COLUMN signature_key_id TEXT;
+  `,
+
+  down: `
+    ALTER TABLE collar_chunks
+      DROP COLUMN IF EXISTS signature_key_id;
+    DROP INDEX IF EXISTS chunk_signature_failures_collar_idx;
+    DROP TABLE IF EXISTS chunk_signature_failures;
+    DROP INDEX IF EXISTS chunk_signature_nonces_seen_idx;
+    DROP TABLE IF EXISTS chunk_signature_nonces;
+    DROP INDEX IF EXISTS collar_signing_keys_collar_idx;
+    DROP TABLE IF EXISTS collar_signing_keys;
+  `
+};
@@ -0,0 +1,50 @@
+/**
+ * 016_chunk_identity_unique
+ * Enforce chunk identity in the database so concurrent retries of PUT /chunks cannot both
+ * insert: one stored chunk per sample range (first/last sample, count, first timestamp_ms_dev)
+ * per session, and one chunk without IMU samples per idempotency key.
+ * Copies stored before this (later rows of the same identity) keep their data but lose the
+ * identity columns, so they no longer match retries.
+ */
+module.exports = {
+  up: `
+    UPDATE collar_chunks c
+       SET idempotency_key = NULL,
+           first_sample_number = NULL,
+           last_sample_number = NULL,
+           first_dev_ms = NULL
+     WHERE c.first_sample_number IS NOT NULL
+       AND EXISTS (
+         SELECT 1 FROM collar_chunks o
+          WHERE o.collar_id = c.collar_id AND o.session_id = c.session_id
+            AND o.first_sample_number = c.first_sample_number
+            AND o.last_sample_number = c.last_sample_number
+            AND o.num_samples = c.num_samples
+            AND o.first_dev_ms IS NOT DISTINCT FROM c.first_dev_ms
+            AND o.id < c.id
+       );
+
+    UPDATE collar_chunks c
+       SET idempotency_key = NULL
+     WHERE c.num_samples = 0 AND c.idempotency_key IS NOT NULL
+       AND EXISTS (
+         SELECT 1 FROM collar_chunks o
+          WHERE o.collar_id = c.collar_id AND o.session_id = c.session_id
+            AND o.num_samples = 0 AND o.idempotency_key = c.idempotency_key
+            AND o.id < c.id
+       );
+
+    CREATE UNIQUE INDEX collar_chunks_sample_range_unique_idx
+      ON collar_chunks (collar_id, session_id, first_sample_number, last_sample_number, num_samples, first_dev_ms)
+      WHERE first_sample_number IS NOT NULL;
+
+    CREATE UNIQUE INDEX collar_chunks_empty_idempotency_key_unique_idx
+      ON collar_chunks (collar_id, session_id, idempotency_key)
+      WHERE num_samples = 0 AND idempotency_key IS NOT NULL;
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS collar_chunks_empty_idempotency_key_unique_idx;
+    DROP INDEX IF EXISTS collar_chunks_sample_range_unique_idx;
+  `
+};
@@ -0,0 +1,25 @@
+/**
+ * 017_api_token_collars
+ * Collars each user API token may act for. A user token reaches a collar's data, sessions,
+ * config and parameters only when granted it here (admin tokens reach every collar).
+ * A collar created with a user token is granted to that token.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE api_token_collars (
+      token_id   TEXT NOT NULL REFERENCES api_tokens (token_id) ON DELETE CASCADE,
+      collar_id  TEXT NOT NULL REFERENCES collars (collar_id) ON DELETE CASCADE,
+      granted_by TEXT,
+      granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (token_id, collar_id)
+    );
+
+    CREATE INDEX api_token_collars_collar_idx
+      ON api_token_collars (collar_id);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS api_token_collars_collar_idx;
+    DROP TABLE IF EXISTS api_token_collars;
+  `
+};
@@ -0,0 +1,17 @@
+/**
+ * 018_signature_nonce_body_hash
+ * The SHA-256 of the body each signature nonce was first seen with. The same signed request
+ * sent again (a retry) is let through to the idempotent ingest; the nonce with another body
+ * is a replay. Nonces recorded before this migration have none and count as replays.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE chunk_signature_nonces
+      ADD COLUMN body_hash TEXT;
+  `,
+
+  down: `
+    ALTER TABLE chunk_signature_nonces
+      DROP COLUMN IF EXISTS body_hash;
+  `
+};